@@ -13,7 +13,9 @@ class Car {
         this.startAngle = angle;
 
         // Physics (from Config)
-        this.speed = 0;
+        this.speed = 0;         // Along the heading
+        this.lateralSpeed = 0;  // Sideways slide (drift model)
+        this.yawRate = 0;       // Rotation speed (drift model)
         this.maxSpeed = Config.physics.maxSpeed;
         this.acceleration = Config.physics.acceleration;
         this.friction = Config.physics.friction;
@@ -40,6 +42,21 @@ class Car {
         this.lastY = y;
         this.finishedLap = false;
 
+        // Timing of the current lap: lap time at each checkpoint, and the path
+        // driven (x, y, speed every TRAJECTORY_STEP frames, flattened)
+        // Recordings stop after MAX_RECORDED_FRAMES; null on a car restored mid-lap (see getState)
+        this.splits = [];
+        this.trajectory = [];
+        this.bestLap = null; // Fastest timed lap: { time, splits, trajectory }
+
+        // Pose at every frame (x, y, angle, speed, flattened) for ghost replays
+        this.replay = [];
+
+        // Wall contacts (bounce and slide collision modes)
+        this.wallContacts = 0;
+        this.touchingWall = false;
+        this.crashed = false; // Killed by a wall (death mode)
+
         // Stats for fitness
         this.avgSpeed = 0;
         this.maxSpeedReached = 0;
@@ -60,15 +77,11 @@ class Car {
         this.sensorAngles = this.generateSensorAngles(this.sensorCount);
         this.sensorReadings = new Array(this.sensorCount).fill(1);
 
-        // Neural network
-        const inputSize = this.sensorCount + 3; // sensors + speed + direction (x, y)
-        const hiddenSize = Config.network.hiddenSize;
-        const outputSize = 4; // accelerate, brake, left, right
-
+        // Neural network: sensors + speed + direction (x, y) -> accelerate, brake, left, right
         if (brain) {
             this.brain = brain;
         } else {
-            this.brain = new NeuralNetwork(inputSize, hiddenSize, outputSize);
+            this.brain = new NeuralNetwork(Config.getLayerSizes(), Config.getActivations());
         }
 
         // Direction to next checkpoint
@@ -81,7 +94,7 @@ class Car {
         this.combinedScore = 0;
 
         // Color
-        this.color = `hsl(${Math.random() * 360}, 70%, 50%)`;
+        this.color = `hsl(${Random.next() * 360}, 70%, 50%)`;
         this.isBest = false;
     }
 
@@ -107,6 +120,8 @@ class Car {
         this.y = this.startY;
         this.angle = this.startAngle;
         this.speed = 0;
+        this.lateralSpeed = 0;
+        this.yawRate = 0;
         this.alive = true;
         this.fitness = 0;
         this.totalDistance = 0;
@@ -122,6 +137,13 @@ class Car {
         this.lastX = this.startX;
         this.lastY = this.startY;
         this.finishedLap = false;
+        this.splits = [];
+        this.trajectory = [];
+        this.bestLap = null;
+        this.replay = [];
+        this.wallContacts = 0;
+        this.touchingWall = false;
+        this.crashed = false;
         this.avgSpeed = 0;
         this.maxSpeedReached = 0;
         this.totalSpeed = 0;
@@ -150,8 +172,10 @@ class Car {
 
     /**
      * Update sensors based on track walls
+     * @param {Array} walls - All track walls
+     * @param {WallGrid} wallGrid - Optional spatial index: only nearby walls are tested
      */
-    updateSensors(walls) {
+    updateSensors(walls, wallGrid = null) {
         for (let i = 0; i < this.sensorCount; i++) {
             const sensorAngle = this.angle + this.sensorAngles[i];
             const endX = this.x + Math.cos(sensorAngle) * this.sensorLength;
@@ -159,7 +183,8 @@ class Car {
 
             let minDistance = 1;
 
-            for (const wall of walls) {
+            const candidates = wallGrid ? wallGrid.querySegment(this.x, this.y, endX, endY) : walls;
+            for (const wall of candidates) {
                 const intersection = this.getLineIntersection(
                     this.x, this.y, endX, endY,
                     wall.x1, wall.y1, wall.x2, wall.y2
@@ -202,23 +227,103 @@ class Car {
 
     /**
      * Check if car collides with walls
+     * @param {Array} walls - All track walls
+     * @param {WallGrid} wallGrid - Optional spatial index: only nearby walls are tested
      */
-    checkCollision(walls) {
+    checkCollision(walls, wallGrid = null) {
+        return this.findCollision(walls, wallGrid) !== null;
+    }
+
+    /**
+     * Find a wall crossed by the car body
+     * @returns {Object|null} The wall, or null if there is no collision
+     */
+    findCollision(walls, wallGrid = null) {
         const corners = this.getCorners();
 
+        let candidates = walls;
+        if (wallGrid) {
+            const xs = corners.map(c => c.x);
+            const ys = corners.map(c => c.y);
+            candidates = wallGrid.query(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+        }
+
         for (let i = 0; i < corners.length; i++) {
             const next = (i + 1) % corners.length;
-            for (const wall of walls) {
+            for (const wall of candidates) {
                 if (this.getLineIntersection(
                     corners[i].x, corners[i].y,
                     corners[next].x, corners[next].y,
                     wall.x1, wall.y1, wall.x2, wall.y2
                 )) {
-                    return true;
+                    return wall;
                 }
             }
         }
-        return false;
+        return null;
+    }
+
+    /**
+     * Bounce and slide collision modes: push the car back off the wall
+     * Bounce reflects the velocity and loses speed, slide keeps only the
+     * part of the velocity along the wall. Each new contact is counted.
+     */
+    handleWallContact(walls, wallGrid, prevX, prevY, prevAngle) {
+        const wall = this.findCollision(walls, wallGrid);
+        if (!wall) {
+            this.touchingWall = false;
+            return;
+        }
+
+        if (!this.touchingWall) {
+            this.wallContacts++;
+            this.touchingWall = true;
+        }
+
+        // Velocity in world coordinates (lateral speed is only used by the drift model)
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        let vx = cos * this.speed - sin * this.lateralSpeed;
+        let vy = sin * this.speed + cos * this.lateralSpeed;
+
+        // Wall direction
+        const wallLength = Math.sqrt((wall.x2 - wall.x1) ** 2 + (wall.y2 - wall.y1) ** 2) || 1;
+        const tx = (wall.x2 - wall.x1) / wallLength;
+        const ty = (wall.y2 - wall.y1) / wallLength;
+
+        if (Config.physics.collision === 'bounce') {
+            // Mirror the velocity across the wall
+            const normal = -vx * ty + vy * tx;
+            vx += 2 * normal * ty;
+            vy -= 2 * normal * tx;
+            vx *= 1 - Config.physics.bounceSpeedLoss;
+            vy *= 1 - Config.physics.bounceSpeedLoss;
+        } else {
+            // Slide: keep the velocity along the wall
+            const along = vx * tx + vy * ty;
+            vx = along * tx;
+            vy = along * ty;
+        }
+
+        // The car now points where it goes, from its last free position
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        if (speed > 0.01) {
+            this.angle = Math.atan2(vy, vx);
+        }
+        this.speed = speed;
+        this.lateralSpeed = 0;
+        this.yawRate = 0;
+        this.x = prevX + vx;
+        this.y = prevY + vy;
+
+        // Still in the wall: stay at the last free position
+        if (this.checkCollision(walls, wallGrid)) {
+            this.x = prevX;
+            this.y = prevY;
+            if (this.checkCollision(walls, wallGrid)) {
+                this.angle = prevAngle;
+            }
+        }
     }
 
     /**
@@ -283,6 +388,7 @@ class Car {
 
                 if (dotProduct > 0.1) {
                     this.checkpointsPassed++;
+                    this.splits.push(this.currentLapTime);
                     this.stuckCounter = 0;
                     this.efficientDistance += this.lapDistance;
 
@@ -293,15 +399,29 @@ class Car {
                         this.checkpointIndex = 0;
                         this.laps++;
 
-                        if (this.currentLapTime > 0) {
+                        // Flying lap mode: the first lap (from a standing start) is not timed
+                        const outLap = Config.race.flyingLap && this.laps === 1;
+                        if (!outLap && this.currentLapTime > 0) {
                             this.lapTimes.push(this.currentLapTime);
                             if (this.currentLapTime < this.bestLapTime) {
                                 this.bestLapTime = this.currentLapTime;
+                                this.bestLap = {
+                                    time: this.currentLapTime,
+                                    splits: this.splits,
+                                    trajectory: this.trajectory || []
+                                };
                             }
                         }
                         this.currentLapTime = 0;
                         this.lapDistance = 0;
-                        this.finishedLap = true;
+                        this.splits = [];
+                        this.trajectory = [];
+
+                        // Race over
+                        const totalLaps = Config.race.laps + (Config.race.flyingLap ? 1 : 0);
+                        if (this.laps >= totalLaps) {
+                            this.finishedLap = true;
+                        }
                     }
 
                     return true;
@@ -348,57 +468,81 @@ class Car {
         // Wrong way penalty (back to checkpoint)
         const wrongWayPenalty = this.checkpointDirX < -0.3 ? f.wrongWayPenalty * Math.abs(this.checkpointDirX) : 0;
 
+        // Wall contacts (bounce and slide collision modes)
+        const contactPenalty = this.wallContacts * f.contactPenalty;
+
+        // Even lap times
+        const consistencyScore = this.getLapConsistency() * Config.race.consistencyWeight;
+
         this.fitness = lapScore + checkpointScore + approachScore + directionScore +
-            distanceScore + speedScore + explorationScore - stuckPenalty - wrongWayPenalty;
+            distanceScore + speedScore + explorationScore + consistencyScore -
+            stuckPenalty - wrongWayPenalty - contactPenalty;
 
         return this.fitness;
     }
 
     /**
-     * Update car (called every frame)
+     * Convert network outputs to throttle and steering (-1 to 1)
+     * - 4 outputs (discrete): accelerate, brake, left, right
+     * - 2 outputs (continuous): signed throttle, signed steering
+     * Values are clamped: unbounded activations like ReLU can exceed 1
      */
-    update(walls, checkpoints) {
-        if (!this.alive) return;
+    getControls(outputs) {
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
 
-        this.frameCount++;
-        this.currentLapTime++;
+        if (outputs.length === 2) {
+            // Sigmoid outputs (0 to 1) are rescaled to -1 to 1
+            const activations = this.brain.activations;
+            const sigmoid = !activations || activations[activations.length - 1] === 'sigmoid';
+            const signed = sigmoid ? outputs.map(o => o * 2 - 1) : outputs;
 
-        // Update physics from Config
-        this.maxSpeed = Config.physics.maxSpeed;
-        this.acceleration = Config.physics.acceleration;
-        this.friction = Config.physics.friction;
+            return { throttle: clamp(signed[0]), steering: clamp(signed[1]) };
+        }
 
-        // Update sensors
-        this.updateSensors(walls);
+        return {
+            throttle: clamp(outputs[0] - outputs[1]),
+            steering: clamp(outputs[3] - outputs[2])
+        };
+    }
 
-        // Update direction to checkpoint
-        this.updateCheckpointDirection(checkpoints);
+    /**
+     * Throttle and steering for this frame, decided by the neural network
+     */
+    drive(inputs) {
+        return this.getControls(this.brain.predict(inputs));
+    }
 
-        // Get neural network decisions
-        const normalizedSpeed = this.speed / this.maxSpeed;
-        const inputs = [
-            ...this.sensorReadings,
-            normalizedSpeed,
-            this.checkpointDirX,
-            this.checkpointDirY
-        ];
-        const outputs = this.brain.predict(inputs);
+    /**
+     * Lap time consistency: 1 when all timed laps are equal, down to 0 when
+     * their standard deviation reaches their mean (0 with less than 2 laps)
+     */
+    getLapConsistency() {
+        const count = this.lapTimes.length;
+        if (count < 2) return 0;
 
+        const mean = this.lapTimes.reduce((a, b) => a + b, 0) / count;
+        const variance = this.lapTimes.reduce((sum, t) => sum + (t - mean) ** 2, 0) / count;
+        return Math.max(0, 1 - Math.sqrt(variance) / mean);
+    }
+
+    /**
+     * Arcade physics: steering turns the car directly and it always
+     * moves along its heading
+     */
+    updateArcadePhysics(throttle, steering) {
         // Accelerate/Brake
-        const throttle = outputs[0] - outputs[1];
         if (throttle > 0) {
             this.speed += this.acceleration * throttle;
         } else {
             this.speed += this.acceleration * throttle * 0.5;
         }
 
-        // Initial impulse
-        if (this.speed < 1 && this.frameCount < 60) {
+        // Initial impulse (not for a standing start: the player's car)
+        if (this.speed < 1 && this.frameCount < 60 && !this.standingStart) {
             this.speed = 1;
         }
 
         // Turn with speed reduction
-        const steering = outputs[3] - outputs[2];
         if (this.speed > 0.1) {
             const speedRatio = this.speed / this.maxSpeed;
             const steeringFactor = 1 - speedRatio * Config.physics.turnReduction;
@@ -411,6 +555,122 @@ class Car {
         // Limit speed
         this.speed = Math.max(0, Math.min(this.maxSpeed, this.speed));
 
+        // Update position
+        this.x += Math.cos(this.angle) * this.speed;
+        this.y += Math.sin(this.angle) * this.speed;
+    }
+
+    /**
+     * Drift physics: bicycle model with tire grip limits
+     * Steering turns the front wheels; each axle pushes sideways in proportion
+     * to its slip angle, up to its grip limit. When the front axle saturates
+     * first the car understeers, when the rear does it oversteers (slides).
+     * Units: pixels and frames, mass = 1
+     */
+    updateDriftPhysics(throttle, steering) {
+        const physics = Config.physics;
+        const wheelbase = this.width * 0.75;
+        const a = wheelbase / 2;  // Center of mass to front axle
+        const b = wheelbase / 2;  // Center of mass to rear axle
+        const inertia = (this.width * this.width + this.height * this.height) / 12;
+        const steerAngle = steering * physics.steerAngle;
+
+        // Grip limit of each axle (max sideways acceleration it can give)
+        const frontGrip = physics.grip * physics.gripBalance;
+        const rearGrip = physics.grip * (1 - physics.gripBalance);
+
+        // Tires are linear up to this slip angle, then saturate
+        const peakSlip = 0.12;
+
+        // Accelerate/Brake (tires brake harder than in arcade mode)
+        this.speed += this.acceleration * throttle;
+
+        // Initial impulse (not for a standing start: the player's car)
+        if (this.speed < 1 && this.frameCount < 60 && !this.standingStart) {
+            this.speed = 1;
+        }
+
+        if (this.speed < 1) {
+            // Too slow for slip angles to mean anything: wheels roll where they point
+            this.lateralSpeed = 0;
+            this.yawRate = Math.max(0, this.speed) * Math.tan(steerAngle) / wheelbase;
+        } else {
+            // Small steps keep the tire forces stable
+            const steps = 4;
+            const dt = 1 / steps;
+            for (let i = 0; i < steps; i++) {
+                const frontSlip = Math.atan2(this.lateralSpeed + a * this.yawRate, this.speed) - steerAngle;
+                const rearSlip = Math.atan2(this.lateralSpeed - b * this.yawRate, this.speed);
+
+                const frontForce = Math.max(-frontGrip, Math.min(frontGrip, -frontSlip / peakSlip * frontGrip));
+                const rearForce = Math.max(-rearGrip, Math.min(rearGrip, -rearSlip / peakSlip * rearGrip));
+
+                const frontLateral = frontForce * Math.cos(steerAngle);
+                this.speed += (this.lateralSpeed * this.yawRate - frontForce * Math.sin(steerAngle)) * dt;
+                this.lateralSpeed += (frontLateral + rearForce - this.speed * this.yawRate) * dt;
+                this.yawRate += (a * frontLateral - b * rearForce) / inertia * dt;
+            }
+        }
+
+        // Friction
+        this.speed *= (1 - this.friction);
+
+        // Limit speed (no reverse)
+        this.speed = Math.max(0, Math.min(this.maxSpeed, this.speed));
+
+        // Update heading and position (velocity in world coordinates)
+        this.angle += this.yawRate;
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        this.x += cos * this.speed - sin * this.lateralSpeed;
+        this.y += sin * this.speed + cos * this.lateralSpeed;
+    }
+
+    /**
+     * Update car (called every frame)
+     */
+    update(walls, checkpoints, wallGrid = null) {
+        if (!this.alive) return;
+
+        this.frameCount++;
+        this.currentLapTime++;
+
+        // Update physics from Config
+        this.maxSpeed = Config.physics.maxSpeed;
+        this.acceleration = Config.physics.acceleration;
+        this.friction = Config.physics.friction;
+
+        // Update sensors
+        this.updateSensors(walls, wallGrid);
+
+        // Update direction to checkpoint
+        this.updateCheckpointDirection(checkpoints);
+
+        // Driving decisions (neural network)
+        const normalizedSpeed = this.speed / this.maxSpeed;
+        const inputs = [
+            ...this.sensorReadings,
+            normalizedSpeed,
+            this.checkpointDirX,
+            this.checkpointDirY
+        ];
+        const { throttle, steering } = this.drive(inputs);
+
+        // Move the car
+        const prevX = this.x;
+        const prevY = this.y;
+        const prevAngle = this.angle;
+        if (Config.physics.model === 'drift') {
+            this.updateDriftPhysics(throttle, steering);
+        } else {
+            this.updateArcadePhysics(throttle, steering);
+        }
+
+        // Bounce or slide on walls
+        if (Config.physics.collision !== 'death') {
+            this.handleWallContact(walls, wallGrid, prevX, prevY, prevAngle);
+        }
+
         // Speed stats
         if (this.speed > 0) {
             this.totalSpeed += this.speed;
@@ -421,12 +681,6 @@ class Car {
             }
         }
 
-        // Update position
-        const prevX = this.x;
-        const prevY = this.y;
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed;
-
         // Distance traveled
         const dist = Math.sqrt(Math.pow(this.x - prevX, 2) + Math.pow(this.y - prevY, 2));
         this.totalDistance += dist;
@@ -435,6 +689,17 @@ class Car {
         // Record visited zone
         this.recordZone();
 
+        // Racing line
+        if (this.trajectory && this.currentLapTime % Car.TRAJECTORY_STEP === 0
+            && this.currentLapTime < Car.MAX_RECORDED_FRAMES) {
+            this.trajectory.push(this.x, this.y, this.speed);
+        }
+
+        // Ghost replay
+        if (this.replay && this.frameCount <= Car.MAX_RECORDED_FRAMES) {
+            this.replay.push(this.x, this.y, this.angle, this.speed);
+        }
+
         // Distance from start
         const distFromStart = Math.sqrt(
             Math.pow(this.x - this.startX, 2) +
@@ -465,9 +730,10 @@ class Car {
         // Calculate fitness
         this.calculateFitness();
 
-        // Wall collision
-        if (this.checkCollision(walls)) {
+        // Wall collision (death mode)
+        if (Config.physics.collision === 'death' && this.checkCollision(walls, wallGrid)) {
             this.alive = false;
+            this.crashed = true;
         }
 
         // Stuck too long
@@ -542,4 +808,72 @@ class Car {
             ctx.globalAlpha = 1;
         }
     }
+
+    /**
+     * Export the full car state (brain as JSON)
+     * Recordings of the drive (replay, trajectory) are left out to keep sessions and worker messages small
+     */
+    getState() {
+        const { replay, trajectory, ...state } = this;
+        return {
+            ...state,
+            brain: this.brain.toJSON(),
+            visitedZones: [...this.visitedZones]
+        };
+    }
+
+    /**
+     * Light copy with what is needed to draw the car and show its stats
+     */
+    getView() {
+        return {
+            x: this.x,
+            y: this.y,
+            angle: this.angle,
+            width: this.width,
+            height: this.height,
+            alive: this.alive,
+            isBest: this.isBest,
+            color: this.color,
+            speed: this.speed,
+            fitness: this.fitness,
+            novelty: this.novelty,
+            checkpointIndex: this.checkpointIndex,
+            wallContacts: this.wallContacts,
+            laps: this.laps,
+            lapTimes: this.lapTimes,
+            splits: this.splits,
+            finishedLap: this.finishedLap,
+            sensorCount: this.sensorCount,
+            sensorLength: this.sensorLength,
+            sensorAngles: this.sensorAngles,
+            sensorReadings: this.sensorReadings
+        };
+    }
+
+    /**
+     * Rebuild a car from getState() or getView() data
+     * @param {Object} state - Car state
+     * @param {Object|null} brain - Brain already rebuilt from state.brain
+     */
+    static fromState(state, brain = null) {
+        const car = Object.assign(Object.create(Car.prototype), state);
+        car.brain = brain;
+        car.visitedZones = new Set(state.visitedZones);
+
+        // A drive restored half way is not recorded: its replay and racing line would miss the start
+        car.replay = null;
+        car.trajectory = null;
+        return car;
+    }
+}
+
+// Frames between two recorded racing line points
+Car.TRAJECTORY_STEP = 3;
+
+// Longest drive recorded for ghost replays, and longest lap for the racing line (frames)
+Car.MAX_RECORDED_FRAMES = 60 * 60;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Car };
 }
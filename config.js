@@ -5,7 +5,10 @@
 const Config = {
     // Neural network
     network: {
-        hiddenSize: 6,       // Number of neurons in hidden layer (min)
+        hiddenLayers: [6],   // Neurons per hidden layer (min)
+        hiddenActivations: ['sigmoid'],  // Activation per hidden layer
+        outputActivation: 'sigmoid',     // Activation of the output layer
+        outputMode: 'discrete',          // 'discrete' (4 outputs) or 'continuous' (2 signed outputs)
         sensorCount: 3,      // Number of sensors (min)
         sensorRange: 50      // Sensor range in pixels (min)
     },
@@ -15,7 +18,16 @@ const Config = {
         populationSize: 20,  // Number of cars (min)
         mutationRate: 0.01,  // Base mutation rate (0-1) (min)
         elitism: 1,          // Number of elites kept without modification (min)
-        crossoverRate: 0     // Crossover probability vs clone (min)
+        crossoverRate: 0,    // Crossover probability vs clone (min)
+        seed: null,          // Random seed (null = new seed on each reset)
+        selection: 'tournament', // Parent selection: 'tournament', 'roulette', 'rank' or 'sus'
+        tournamentSize: 4,   // Cars compared in each tournament
+        survivorRate: 0.25,  // Best fraction of the population allowed to reproduce
+        mutationType: 'uniform', // Weight mutation: 'uniform', 'gaussian', 'reset' or 'selfAdaptive'
+        mutationSigma: 0.2,  // Gaussian step size (initial step size when self-adaptive)
+        optimizer: 'genetic', // 'genetic', 'cmaes' or 'nes' (see optimizers.js)
+        stepSize: 0.1,       // CMA-ES/NES: initial sample spread (sigma)
+        learningRate: 0.05   // NES: mean step along the gradient
     },
 
     // Adaptive mutation
@@ -39,6 +51,18 @@ const Config = {
         sigma: 10            // Niche radius (behavior distance) (min)
     },
 
+    // NEAT (topology evolution, replaces fitness sharing by speciation)
+    neat: {
+        enabled: false,              // Evolve topology instead of fixed-size networks
+        compatibilityThreshold: 3,   // Max distance to join a species (min)
+        addNodeRate: 0.03,           // Probability to add a hidden node per child (min)
+        addConnectionRate: 0.05,     // Probability to add a connection per child (min)
+        staleLimit: 15,              // Generations without improvement before a species dies
+        excessCoeff: 1,              // c1: weight of excess genes in distance
+        disjointCoeff: 1,            // c2: weight of disjoint genes in distance
+        weightCoeff: 0.4             // c3: weight of average weight difference
+    },
+
     // Reward Shaping (fitness weights)
     fitness: {
         checkpointWeight: 100,    // Points per checkpoint (min)
@@ -47,7 +71,29 @@ const Config = {
         explorationWeight: 0,     // Points for explored areas (min)
         stuckPenalty: 0,          // Penalty per stuck unit (min)
         wrongWayPenalty: 100,     // Penalty for wrong direction
-        lapBonus: 100000          // Bonus for complete lap
+        lapBonus: 100000,         // Bonus for complete lap
+        contactPenalty: 50        // Penalty per wall contact (bounce and slide modes)
+    },
+
+    // Race
+    race: {
+        laps: 1,                  // Laps to finish a run (min)
+        flyingLap: false,         // Untimed out-lap first: lap times start at speed
+        consistencyWeight: 2000   // Bonus for even lap times (2 timed laps or more)
+    },
+
+    // Curriculum: every genome also drives the other tracks each generation
+    curriculum: {
+        enabled: false,           // Score genomes on the built-in and loaded tracks too
+        aggregate: 'mean'         // Fitness over the tracks: 'mean' or 'min'
+    },
+
+    // Random tracks (see TrackGenerator)
+    generator: {
+        corners: 8,               // Control points of the centerline
+        minRadius: 40,            // Tightest turning radius allowed (pixels)
+        length: 2000,             // Target centerline length (pixels, less if the canvas is too small)
+        widthVariation: 0         // Width change along the lap (0.2 = up to 20% narrower or wider)
     },
 
     // Track (fixed values, not user-configurable)
@@ -62,7 +108,29 @@ const Config = {
         acceleration: 0.10,
         friction: 0.01,
         turnSpeed: 0.06,
-        turnReduction: 0     // Turn reduction at max speed (0-1) (min)
+        turnReduction: 0,    // Turn reduction at max speed (0-1) (min)
+        model: 'arcade',     // 'arcade' or 'drift' (bicycle model with tire grip)
+        grip: 0.15,          // Drift: max sideways acceleration of the tires
+        gripBalance: 0.5,    // Drift: front share of grip (< 0.5 understeer, > 0.5 oversteer)
+        steerAngle: 0.5,     // Drift: front wheel angle at full steering (radians)
+        collision: 'death',  // Wall hit: 'death', 'bounce' or 'slide'
+        bounceSpeedLoss: 0.5 // Bounce: share of speed lost
+    },
+
+    // Activation functions available in the interface
+    activationNames: {
+        sigmoid: 'Sigmoid',
+        tanh: 'Tanh',
+        relu: 'ReLU',
+        leakyRelu: 'Leaky ReLU',
+        linear: 'Linear'
+    },
+
+    // Limits of the hidden layer editor
+    hiddenLayerLimits: {
+        maxLayers: 4,
+        minNeurons: 2,
+        maxNeurons: 32
     },
 
     // Utility methods
@@ -71,10 +139,130 @@ const Config = {
         return this.network.sensorCount + 3;
     },
 
+    getOutputSize() {
+        // discrete: accelerate, brake, left, right - continuous: throttle, steering
+        return this.network.outputMode === 'continuous' ? 2 : 4;
+    },
+
+    // Full network topology: inputs, hidden layers, outputs
+    getLayerSizes() {
+        return [this.getInputSize(), ...this.network.hiddenLayers, this.getOutputSize()];
+    },
+
+    // Activation of each layer after the input (hidden layers, then output)
+    getActivations() {
+        const hidden = this.network.hiddenLayers.map((size, i) =>
+            this.network.hiddenActivations[i] || 'sigmoid');
+        return [...hidden, this.network.outputActivation];
+    },
+
+    // Load the "config" section of a saved model
+    loadFromJSON(config) {
+        Object.assign(this.network, config.network || {});
+        Object.assign(this.genetic, config.genetic || {});
+        Object.assign(this.adaptive, config.adaptive || {});
+        Object.assign(this.novelty, config.novelty || {});
+        Object.assign(this.sharing, config.sharing || {});
+        Object.assign(this.neat, config.neat || {});
+        Object.assign(this.fitness, config.fitness || {});
+        Object.assign(this.race, config.race || {});
+        Object.assign(this.curriculum, config.curriculum || {});
+        Object.assign(this.generator, config.generator || {});
+        Object.assign(this.physics, config.physics || {});
+        Object.assign(this.track, config.track || {});
+
+        // Version 2 models: single hidden layer
+        if (this.network.hiddenSize !== undefined) {
+            if (!config.network.hiddenLayers) {
+                this.network.hiddenLayers = [this.network.hiddenSize];
+            }
+            delete this.network.hiddenSize;
+        }
+
+        // Models saved before activations were configurable: all sigmoid
+        if (!config.network || !config.network.hiddenActivations) {
+            this.network.hiddenActivations = this.network.hiddenLayers.map(() => 'sigmoid');
+        }
+        if (!config.network || !config.network.outputActivation) {
+            this.network.outputActivation = 'sigmoid';
+        }
+
+        // Models saved before the continuous mode: 4 outputs
+        if (!config.network || !config.network.outputMode) {
+            this.network.outputMode = 'discrete';
+        }
+
+        // Models saved before the drift model: arcade physics
+        if (!config.physics || !config.physics.model) {
+            this.physics.model = 'arcade';
+        }
+
+        // Models saved before collision modes: cars die on walls
+        if (!config.physics || !config.physics.collision) {
+            this.physics.collision = 'death';
+        }
+
+        // Models saved before selection strategies: tournaments of 4 among the top 25%
+        if (!config.genetic || !config.genetic.selection) {
+            this.genetic.selection = 'tournament';
+            this.genetic.tournamentSize = 4;
+            this.genetic.survivorRate = 0.25;
+        }
+
+        // Models saved before mutation operators: uniform noise
+        if (!config.genetic || !config.genetic.mutationType) {
+            this.genetic.mutationType = 'uniform';
+            this.genetic.mutationSigma = 0.2;
+        }
+
+        // Models saved before pluggable optimizers: genetic algorithm
+        if (!config.genetic || !config.genetic.optimizer) {
+            this.genetic.optimizer = 'genetic';
+            this.genetic.stepSize = 0.1;
+            this.genetic.learningRate = 0.05;
+        }
+
+        // Models saved before multi-lap races: single standing lap
+        if (!config.race) {
+            this.race.laps = 1;
+            this.race.flyingLap = false;
+        }
+
+        // Models saved before curriculum training: one track
+        if (!config.curriculum) {
+            this.curriculum.enabled = false;
+        }
+    },
+
+    // Copy of every section (sent to the simulation worker)
+    toJSON() {
+        return {
+            network: this.network,
+            genetic: this.genetic,
+            adaptive: this.adaptive,
+            novelty: this.novelty,
+            sharing: this.sharing,
+            neat: this.neat,
+            fitness: this.fitness,
+            race: this.race,
+            curriculum: this.curriculum,
+            generator: this.generator,
+            physics: this.physics,
+            track: this.track
+        };
+    },
+
     // Load from interface
     loadFromUI() {
+        // Headless (Node): no interface to read from
+        if (typeof document === 'undefined') return;
+
         // Network
-        this.network.hiddenSize = parseInt(document.getElementById('hiddenSize')?.value || 14);
+        const layers = this.readHiddenLayersUI();
+        this.network.hiddenLayers = layers.sizes;
+        this.network.hiddenActivations = layers.activations;
+        this.network.outputActivation = document.getElementById('outputActivation')?.value || 'sigmoid';
+        this.network.outputMode = document.getElementById('outputMode')?.value || 'discrete';
         this.network.sensorCount = parseInt(document.getElementById('sensorCount')?.value || 7);
         this.network.sensorRange = parseInt(document.getElementById('sensorRange')?.value || 120);
 
@@ -83,6 +271,16 @@ const Config = {
         this.genetic.mutationRate = parseInt(document.getElementById('mutationRate')?.value || 15) / 100;
         this.genetic.elitism = parseInt(document.getElementById('elitism')?.value || 3);
         this.genetic.crossoverRate = parseInt(document.getElementById('crossoverRate')?.value || 75) / 100;
+        const seed = parseInt(document.getElementById('seed')?.value);
+        this.genetic.seed = Number.isNaN(seed) ? null : seed;
+        this.genetic.selection = document.getElementById('selection')?.value || 'tournament';
+        this.genetic.tournamentSize = parseInt(document.getElementById('tournamentSize')?.value || 4);
+        this.genetic.survivorRate = parseInt(document.getElementById('survivorRate')?.value || 25) / 100;
+        this.genetic.mutationType = document.getElementById('mutationType')?.value || 'uniform';
+        this.genetic.mutationSigma = parseInt(document.getElementById('mutationSigma')?.value || 20) / 100;
+        this.genetic.optimizer = document.getElementById('optimizer')?.value || 'genetic';
+        this.genetic.stepSize = parseInt(document.getElementById('stepSize')?.value || 10) / 100;
+        this.genetic.learningRate = parseInt(document.getElementById('learningRate')?.value || 5) / 100;
 
         // Adaptive
         this.adaptive.enabled = document.getElementById('adaptiveMutation')?.checked ?? true;
@@ -99,46 +297,92 @@ const Config = {
         this.sharing.enabled = document.getElementById('fitnessSharing')?.checked ?? false;
         this.sharing.sigma = parseInt(document.getElementById('nicheSigma')?.value || 50);
 
+        // NEAT
+        this.neat.enabled = document.getElementById('neatEnabled')?.checked ?? false;
+        this.neat.compatibilityThreshold = parseInt(document.getElementById('compatibilityThreshold')?.value || 30) / 10;
+        this.neat.addNodeRate = parseInt(document.getElementById('addNodeRate')?.value || 3) / 100;
+        this.neat.addConnectionRate = parseInt(document.getElementById('addConnectionRate')?.value || 5) / 100;
+
         // Fitness
         this.fitness.checkpointWeight = parseInt(document.getElementById('checkpointWeight')?.value || 1000);
         this.fitness.approachWeight = parseInt(document.getElementById('approachWeight')?.value || 500);
         this.fitness.speedWeight = parseInt(document.getElementById('speedWeight')?.value || 50);
         this.fitness.explorationWeight = parseInt(document.getElementById('explorationWeight')?.value || 0);
         this.fitness.stuckPenalty = parseInt(document.getElementById('stuckPenalty')?.value || 50);
+        this.fitness.contactPenalty = parseInt(document.getElementById('contactPenalty')?.value || 50);
+
+        // Race
+        this.race.laps = parseInt(document.getElementById('raceLaps')?.value || 1);
+        this.race.flyingLap = document.getElementById('flyingLap')?.checked ?? false;
+        this.race.consistencyWeight = parseInt(document.getElementById('consistencyWeight')?.value || 2000);
 
+        // Curriculum
+        this.curriculum.enabled = document.getElementById('curriculumEnabled')?.checked ?? false;
+        this.curriculum.aggregate = document.getElementById('curriculumAggregate')?.value || 'mean';
+
+        // Random tracks
+        this.generator.corners = parseInt(document.getElementById('generatorCorners')?.value || 8);
+        this.generator.minRadius = parseInt(document.getElementById('generatorMinRadius')?.value || 40);
+        this.generator.length = parseInt(document.getElementById('generatorLength')?.value || 2000);
+        this.generator.widthVariation = parseInt(document.getElementById('generatorWidthVariation')?.value || 0) / 100;
 
         // Physics
         this.physics.maxSpeed = parseFloat(document.getElementById('maxSpeed')?.value || 6);
         this.physics.acceleration = parseInt(document.getElementById('acceleration')?.value || 25) / 100;
         this.physics.friction = parseInt(document.getElementById('friction')?.value || 5) / 100;
         this.physics.turnReduction = parseInt(document.getElementById('turnReduction')?.value || 60) / 100;
+        this.physics.model = document.getElementById('physicsModel')?.value || 'arcade';
+        this.physics.grip = parseInt(document.getElementById('grip')?.value || 15) / 100;
+        this.physics.gripBalance = parseInt(document.getElementById('gripBalance')?.value || 50) / 100;
+        this.physics.collision = document.getElementById('collisionMode')?.value || 'death';
+        this.physics.bounceSpeedLoss = parseInt(document.getElementById('bounceSpeedLoss')?.value || 50) / 100;
     },
 
     // Update value display
     updateUILabels() {
+        if (typeof document === 'undefined') return;
+
         const updates = [
-            ['hiddenSizeValue', this.network.hiddenSize],
+            ['hiddenLayerCountValue', this.network.hiddenLayers.length],
             ['sensorCountValue', this.network.sensorCount],
             ['sensorRangeValue', this.network.sensorRange],
             ['carCountValue', this.genetic.populationSize],
             ['mutationValue', Math.round(this.genetic.mutationRate * 100)],
             ['elitismValue', this.genetic.elitism],
             ['crossoverValue', Math.round(this.genetic.crossoverRate * 100)],
+            ['tournamentSizeValue', this.genetic.tournamentSize],
+            ['survivorRateValue', Math.round(this.genetic.survivorRate * 100)],
+            ['mutationSigmaValue', this.genetic.mutationSigma.toFixed(2)],
+            ['stepSizeValue', this.genetic.stepSize.toFixed(2)],
+            ['learningRateValue', this.genetic.learningRate.toFixed(2)],
             ['stagnationThresholdValue', this.adaptive.stagnationThreshold],
             ['mutationBoostValue', Math.round(this.adaptive.mutationBoost * 100)],
             ['noveltyWeightValue', Math.round(this.novelty.weight * 100)],
             ['archiveSizeValue', this.novelty.archiveSize],
             ['kNeighborsValue', this.novelty.kNeighbors],
             ['nicheSigmaValue', this.sharing.sigma],
+            ['compatibilityThresholdValue', this.neat.compatibilityThreshold.toFixed(1)],
+            ['addNodeRateValue', Math.round(this.neat.addNodeRate * 100)],
+            ['addConnectionRateValue', Math.round(this.neat.addConnectionRate * 100)],
             ['checkpointWeightValue', this.fitness.checkpointWeight],
             ['approachWeightValue', this.fitness.approachWeight],
             ['speedWeightValue', this.fitness.speedWeight],
             ['explorationWeightValue', this.fitness.explorationWeight],
             ['stuckPenaltyValue', this.fitness.stuckPenalty],
+            ['contactPenaltyValue', this.fitness.contactPenalty],
+            ['raceLapsValue', this.race.laps],
+            ['consistencyWeightValue', this.race.consistencyWeight],
+            ['generatorCornersValue', this.generator.corners],
+            ['generatorMinRadiusValue', this.generator.minRadius],
+            ['generatorLengthValue', this.generator.length],
+            ['generatorWidthVariationValue', Math.round(this.generator.widthVariation * 100)],
             ['maxSpeedValue', this.physics.maxSpeed],
             ['accelerationValue', this.physics.acceleration.toFixed(2)],
             ['frictionValue', Math.round(this.physics.friction * 100)],
-            ['turnReductionValue', Math.round(this.physics.turnReduction * 100)]
+            ['turnReductionValue', Math.round(this.physics.turnReduction * 100)],
+            ['gripValue', this.physics.grip.toFixed(2)],
+            ['gripBalanceValue', Math.round(this.physics.gripBalance * 100)],
+            ['bounceSpeedLossValue', Math.round(this.physics.bounceSpeedLoss * 100)]
         ];
 
         updates.forEach(([id, value]) => {
@@ -149,14 +393,18 @@ const Config = {
 
     // Reset to default values (all minimums)
     resetToDefaults() {
-        this.network = { hiddenSize: 6, sensorCount: 3, sensorRange: 50 };
-        this.genetic = { populationSize: 20, mutationRate: 0.01, elitism: 1, crossoverRate: 0 };
+        this.network = { hiddenLayers: [6], hiddenActivations: ['sigmoid'], outputActivation: 'sigmoid', outputMode: 'discrete', sensorCount: 3, sensorRange: 50 };
+        this.genetic = { populationSize: 20, mutationRate: 0.01, elitism: 1, crossoverRate: 0, seed: null, selection: 'tournament', tournamentSize: 4, survivorRate: 0.25, mutationType: 'uniform', mutationSigma: 0.2, optimizer: 'genetic', stepSize: 0.1, learningRate: 0.05 };
         this.adaptive = { enabled: false, stagnationThreshold: 2, mutationBoost: 0.10 };
         this.novelty = { enabled: false, weight: 0, archiveSize: 20, kNeighbors: 5 };
         this.sharing = { enabled: false, sigma: 10 };
-        this.fitness = { checkpointWeight: 100, approachWeight: 0, speedWeight: 0, explorationWeight: 0, stuckPenalty: 0, wrongWayPenalty: 100, lapBonus: 100000 };
+        this.neat = { enabled: false, compatibilityThreshold: 3, addNodeRate: 0.03, addConnectionRate: 0.05, staleLimit: 15, excessCoeff: 1, disjointCoeff: 1, weightCoeff: 0.4 };
+        this.fitness = { checkpointWeight: 100, approachWeight: 0, speedWeight: 0, explorationWeight: 0, stuckPenalty: 0, wrongWayPenalty: 100, lapBonus: 100000, contactPenalty: 50 };
+        this.race = { laps: 1, flyingLap: false, consistencyWeight: 2000 };
+        this.curriculum = { enabled: false, aggregate: 'mean' };
+        this.generator = { corners: 8, minRadius: 40, length: 2000, widthVariation: 0 };
         this.track = { width: 55, checkpointDensity: 15 };
-        this.physics = { maxSpeed: 3, acceleration: 0.10, friction: 0.01, turnSpeed: 0.06, turnReduction: 0 };
+        this.physics = { maxSpeed: 3, acceleration: 0.10, friction: 0.01, turnSpeed: 0.06, turnReduction: 0, model: 'arcade', grip: 0.15, gripBalance: 0.5, steerAngle: 0.5, collision: 'death', bounceSpeedLoss: 0.5 };
 
         // Update inputs
         this.syncUIInputs();
@@ -164,14 +412,26 @@ const Config = {
 
     // Sync inputs with current values
     syncUIInputs() {
+        if (typeof document === 'undefined') return;
+
         const inputs = [
-            ['hiddenSize', this.network.hiddenSize],
             ['sensorCount', this.network.sensorCount],
             ['sensorRange', this.network.sensorRange],
+            ['outputActivation', this.network.outputActivation],
+            ['outputMode', this.network.outputMode],
             ['carCount', this.genetic.populationSize],
             ['mutationRate', Math.round(this.genetic.mutationRate * 100)],
             ['elitism', this.genetic.elitism],
             ['crossoverRate', Math.round(this.genetic.crossoverRate * 100)],
+            ['seed', this.genetic.seed ?? ''],
+            ['selection', this.genetic.selection],
+            ['tournamentSize', this.genetic.tournamentSize],
+            ['survivorRate', Math.round(this.genetic.survivorRate * 100)],
+            ['mutationType', this.genetic.mutationType],
+            ['mutationSigma', Math.round(this.genetic.mutationSigma * 100)],
+            ['optimizer', this.genetic.optimizer],
+            ['stepSize', Math.round(this.genetic.stepSize * 100)],
+            ['learningRate', Math.round(this.genetic.learningRate * 100)],
             ['adaptiveMutation', this.adaptive.enabled],
             ['stagnationThreshold', this.adaptive.stagnationThreshold],
             ['mutationBoost', Math.round(this.adaptive.mutationBoost * 100)],
@@ -181,15 +441,34 @@ const Config = {
             ['kNeighbors', this.novelty.kNeighbors],
             ['fitnessSharing', this.sharing.enabled],
             ['nicheSigma', this.sharing.sigma],
+            ['neatEnabled', this.neat.enabled],
+            ['compatibilityThreshold', Math.round(this.neat.compatibilityThreshold * 10)],
+            ['addNodeRate', Math.round(this.neat.addNodeRate * 100)],
+            ['addConnectionRate', Math.round(this.neat.addConnectionRate * 100)],
             ['checkpointWeight', this.fitness.checkpointWeight],
             ['approachWeight', this.fitness.approachWeight],
             ['speedWeight', this.fitness.speedWeight],
             ['explorationWeight', this.fitness.explorationWeight],
             ['stuckPenalty', this.fitness.stuckPenalty],
+            ['contactPenalty', this.fitness.contactPenalty],
+            ['raceLaps', this.race.laps],
+            ['flyingLap', this.race.flyingLap],
+            ['consistencyWeight', this.race.consistencyWeight],
+            ['curriculumEnabled', this.curriculum.enabled],
+            ['curriculumAggregate', this.curriculum.aggregate],
+            ['generatorCorners', this.generator.corners],
+            ['generatorMinRadius', this.generator.minRadius],
+            ['generatorLength', this.generator.length],
+            ['generatorWidthVariation', Math.round(this.generator.widthVariation * 100)],
             ['maxSpeed', this.physics.maxSpeed],
             ['acceleration', Math.round(this.physics.acceleration * 100)],
             ['friction', Math.round(this.physics.friction * 100)],
-            ['turnReduction', Math.round(this.physics.turnReduction * 100)]
+            ['turnReduction', Math.round(this.physics.turnReduction * 100)],
+            ['physicsModel', this.physics.model],
+            ['grip', Math.round(this.physics.grip * 100)],
+            ['gripBalance', Math.round(this.physics.gripBalance * 100)],
+            ['collisionMode', this.physics.collision],
+            ['bounceSpeedLoss', Math.round(this.physics.bounceSpeedLoss * 100)]
         ];
 
         inputs.forEach(([id, value]) => {
@@ -203,7 +482,47 @@ const Config = {
             }
         });
 
+        this.renderHiddenLayers(this.network.hiddenLayers, this.network.hiddenActivations);
         this.updateUILabels();
+    },
+
+    // Read hidden layer sizes and activations from the interface
+    readHiddenLayersUI() {
+        const rows = document.querySelectorAll('#hiddenLayers .hidden-layer');
+        return {
+            sizes: Array.from(rows, row => parseInt(row.querySelector('.hidden-layer-size').value) || 6),
+            activations: Array.from(rows, row => row.querySelector('.hidden-layer-activation').value)
+        };
+    },
+
+    // Rebuild the hidden layer sliders
+    renderHiddenLayers(sizes, activations = []) {
+        if (typeof document === 'undefined') return;
+
+        const container = document.getElementById('hiddenLayers');
+        if (!container) return;
+
+        const { minNeurons, maxNeurons } = this.hiddenLayerLimits;
+        container.innerHTML = '';
+
+        sizes.forEach((size, index) => {
+            const activation = activations[index] || 'sigmoid';
+            const options = Object.entries(this.activationNames)
+                .map(([name, label]) => `<option value="${name}"${name === activation ? ' selected' : ''}>${label}</option>`)
+                .join('');
+
+            const row = document.createElement('div');
+            row.className = 'hidden-layer';
+            row.innerHTML = `
+                <label>Layer ${index + 1}: <span class="hidden-layer-value">${size}</span> neurons</label>
+                <input type="range" class="hidden-layer-size" value="${size}" min="${minNeurons}" max="${maxNeurons}">
+                <select class="hidden-layer-activation">${options}</select>
+            `;
+            container.appendChild(row);
+        });
+
+        const countEl = document.getElementById('hiddenLayerCountValue');
+        if (countEl) countEl.textContent = sizes.length;
     }
 };
 
@@ -291,3 +610,8 @@ class NoveltyArchive {
         this.behaviors = [];
     }
 }
+
+// Node.js export (headless training); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Config, NoveltyArchive };
+}
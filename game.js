@@ -14,27 +14,104 @@ class Game {
         this.bestLapTimeEl = document.getElementById('bestLapTime');
         this.diversityEl = document.getElementById('diversity');
         this.stagnationEl = document.getElementById('stagnation');
+        this.seedEl = document.getElementById('currentSeed');
+        this.speciesEl = document.getElementById('species');
+        this.mutationStrengthEl = document.getElementById('mutationStrength');
+        this.speciesRowEl = document.getElementById('speciesRow');
+
+        // Network graph (NEAT)
+        this.networkPanel = document.getElementById('networkPanel');
+        this.networkCanvas = document.getElementById('networkCanvas');
+        this.networkInfoEl = document.getElementById('networkInfo');
+
+        // Generation history chart
+        const historyCanvas = document.getElementById('historyCanvas');
+        this.historyChart = historyCanvas ? new HistoryChart(historyCanvas) : null;
+        this.chartedHistory = null; // History last drawn, and its length
+        this.chartedLength = 0;
+
+        // Ghost replay of a past generation's best car
+        this.ghostEnabledEl = document.getElementById('ghostEnabled');
+        this.ghostGenerationEl = document.getElementById('ghostGeneration');
+        this.ghostGenerationValueEl = document.getElementById('ghostGenerationValue');
+        this.ghostFollowLatest = true; // Scrubber stays on the newest replay
 
         // UI Elements - Best car
         this.currentCheckpointsEl = document.getElementById('currentCheckpoints');
         this.currentSpeedEl = document.getElementById('currentSpeed');
         this.currentFitnessEl = document.getElementById('currentFitness');
         this.currentNoveltyEl = document.getElementById('currentNovelty');
+        this.currentContactsEl = document.getElementById('currentContacts');
+        this.leaderLapTimesEl = document.getElementById('leaderLapTimes');
+        this.deltaToBestEl = document.getElementById('deltaToBest');
 
         // UI Elements - Controls
         this.startBtn = document.getElementById('startBtn');
         this.resetBtn = document.getElementById('resetBtn');
         this.speedBtn = document.getElementById('speedBtn');
+        this.racingLineBtn = document.getElementById('racingLineBtn');
 
         // Game state
         this.running = false;
         this.speed = 1;
         this.showSensors = true;
+        this.showRacingLine = true;
 
         // Game components (will be initialized by loadTrackByNumber)
-        this.track = null;
-        this.ga = null;
-        this.cars = [];
+        this.sim = new Simulation();
+
+        // Background simulation: while it runs, the page only draws its snapshots
+        this.worker = this.createWorker();
+        this.workerRunning = false;
+        this.workerStopping = null; // Promise of the state sent back after 'stop'
+        this.resolveWorkerStop = null;
+        this.workerCars = null;
+        this.workerStats = null;
+        this.workerHistory = [];
+        this.workerBestLap = null;
+        this.workerReplays = [];
+        this.workerFrame = 0;
+        this.workerTrackIndex = 0;
+        this.workerTrackResults = [];
+
+        // Race mode: saved models racing without evolution
+        this.race = null;
+        this.raceEntries = [];
+        this.raceStartBtn = document.getElementById('raceStartBtn');
+        this.raceEntriesEl = document.getElementById('raceEntries');
+        this.raceStatusEl = document.getElementById('raceStatus');
+
+        // Curriculum: track.json files driven with the built-in tracks ({ name, track })
+        this.curriculumFiles = [];
+        this.builtInTracks = {}; // Built-in Track objects, built once
+        this.homeTrackName = 'Track 1';
+        this.curriculumTracksEl = document.getElementById('curriculumTracks');
+        this.curriculumStatusEl = document.getElementById('curriculumStatus');
+        this.curriculumResultsEl = document.getElementById('curriculumResults');
+        this.renderedCurriculum = null; // Results last rendered, as text
+
+        // Geometry problems of the current track (see Track.findIssues)
+        this.trackIssues = [];
+        this.trackCheckEl = document.getElementById('trackCheck');
+        this.trackRepairEl = document.getElementById('trackRepair');
+
+        // Human driver (arrow keys), next to the AI population
+        this.humanCar = null;
+        this.humanLoopId = 0;
+        this.driveBtn = document.getElementById('driveBtn');
+        this.playerPanel = document.getElementById('playerPanel');
+        this.playerLapEl = document.getElementById('playerLap');
+        this.playerLapTimesEl = document.getElementById('playerLapTimes');
+        this.playerBestLapEl = document.getElementById('playerBestLap');
+        this.aiBestLapEl = document.getElementById('aiBestLap');
+        this.playerGapEl = document.getElementById('playerGap');
+
+        // Laps recorded for imitation learning: { inputs, throttle, steering } per frame
+        this.recordedLaps = [];
+        this.recordingLaps = false;
+        this.recordLapsBtn = document.getElementById('recordLapsBtn');
+        this.recordedLapsEl = document.getElementById('recordedLaps');
+        this.imitationStatusEl = document.getElementById('imitationStatus');
 
         // Draw mode state
         this.isDrawing = false;
@@ -44,6 +121,12 @@ class Game {
         this.drawTrackBtn = document.getElementById('drawTrackBtn');
         this.clearDrawBtn = document.getElementById('clearDrawBtn');
 
+        // Control point editor, after a stroke is finished or on the current track
+        this.trackEditor = null;
+        this.editorDrag = -1; // Control point being dragged
+        this.undoEditBtn = document.getElementById('undoEditBtn');
+        this.redoEditBtn = document.getElementById('redoEditBtn');
+
         // Set start mode state
         this.isSettingStart = false;
         this.setStartBtn = document.getElementById('setStartBtn');
@@ -72,6 +155,9 @@ class Game {
 
         // Setup track progression events
         this.setupTrackProgressionEvents();
+        this.setupRaceEvents();
+        this.setupCurriculumEvents();
+        this.setupGeneratorEvents();
 
         // First render
         this.updateUI();
@@ -83,35 +169,375 @@ class Game {
         console.log('Game initialized');
     }
 
+    // Simulation state shortcuts
+    get track() { return this.sim.track; }
+    set track(track) { this.sim.track = track; }
+    get ga() { return this.sim.ga; }
+    set ga(ga) { this.sim.ga = ga; }
+    get cars() { return this.sim.cars; }
+    set cars(cars) {
+        this.sim.cars = cars;
+        this.sim.clearCurriculumProgress(); // A new population starts on the current track
+    }
+
     /**
-     * Setup basic events
+     * Create the simulation worker
+     * Browsers may refuse workers (e.g. file:// pages): training then runs on the page
      */
-    setupEvents() {
-        this.startBtn.addEventListener('click', () => {
-            this.running = !this.running;
-            this.startBtn.textContent = this.running ? 'Pause' : 'Start';
-            this.startBtn.style.background = this.running ? '#e67e22' : '#4ecca3';
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            const worker = new Worker('simulationWorker.js');
+            worker.addEventListener('message', (e) => this.handleWorkerMessage(e.data));
+            worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                this.disableWorker(e.message);
+            });
+            return worker;
+        } catch (err) {
+            console.warn('Simulation worker unavailable, training on the page:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fall back to the page loop, from the state the worker was started with
+     */
+    disableWorker(reason) {
+        console.warn('Simulation worker failed, training on the page:', reason);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.workerRunning = false;
+        this.workerCars = null;
+        this.workerStats = null;
+        if (this.resolveWorkerStop) {
+            this.resolveWorkerStop();
+        }
+        if (this.speed === 'max') {
+            this.setSpeed(15);
+        }
+    }
+
+    /**
+     * Messages from the simulation worker
+     */
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'frame':
+                if (!this.workerRunning) return;
+                this.workerCars = message.cars.map(view =>
+                    Car.fromState(view, view.brain ? GeneticAlgorithm.brainFromJSON(view.brain) : null));
+                this.workerStats = message.stats;
+                this.workerFrame = message.frame;
+                this.workerTrackIndex = message.trackIndex;
+                this.workerTrackResults = message.trackResults;
+                this.workerHistory.push(...message.history);
+                this.workerReplays.push(...message.replays);
+                this.workerReplays.splice(0, this.workerReplays.length - GeneticAlgorithm.MAX_REPLAYS);
+                if (message.bestLap) {
+                    this.workerBestLap = message.bestLap;
+                }
+                if (message.lapCompleted) {
+                    this.markLapCompleted();
+                }
+                break;
+
+            case 'state':
+                // The page takes the run back
+                this.sim.setState(message.state);
+                this.workerRunning = false;
+                this.workerCars = null;
+                this.workerStats = null;
+                this.resolveWorkerStop();
+                this.updateUI();
+                this.draw();
+                break;
+        }
+    }
+
+    /**
+     * Hand the current run over to the worker
+     */
+    startWorker() {
+        if (!this.worker || this.workerRunning || !this.track || !this.ga) return;
+
+        this.worker.postMessage({
+            type: 'start',
+            config: Config.toJSON(),
+            track: this.track.toJSON(),
+            curriculum: this.sim.getCurriculumData(),
+            state: this.sim.getState(),
+            speed: this.speed
+        });
+        this.workerRunning = true;
+        this.workerHistory = [...this.ga.history];
+        this.workerBestLap = this.ga.bestLap;
+        this.workerReplays = [...this.ga.replays];
+        this.workerFrame = this.sim.frame;
+        this.workerTrackIndex = this.sim.trackIndex;
+        this.workerTrackResults = this.sim.trackResults;
+    }
+
+    /**
+     * Pause the worker and take the run back
+     * @returns {Promise} Resolved once the page simulation is up to date
+     */
+    stopWorker() {
+        if (!this.workerRunning) return Promise.resolve();
+
+        if (!this.workerStopping) {
+            this.workerStopping = new Promise((resolve) => {
+                this.resolveWorkerStop = () => {
+                    this.workerStopping = null;
+                    this.resolveWorkerStop = null;
+                    resolve();
+                };
+            });
+            this.worker.postMessage({ type: 'stop' });
+        }
+        return this.workerStopping;
+    }
+
+    /**
+     * Run an action on the up-to-date simulation
+     * If the worker is training, it is paused first and resumed afterwards
+     */
+    withSimulation(action) {
+        if (!this.workerRunning && !this.workerStopping) {
+            action();
+            return;
+        }
+
+        this.stopWorker().then(() => {
+            action();
             if (this.running) {
-                this.loop();
+                this.startWorker();
             }
         });
+    }
+
+    /**
+     * Cars to draw: latest worker snapshot while it trains
+     */
+    getDisplayedCars() {
+        if (this.race) return this.race.cars;
+        return this.workerRunning && this.workerCars ? this.workerCars : this.cars;
+    }
+
+    /**
+     * Current statistics, from the worker while it trains
+     */
+    getStats() {
+        if (this.workerRunning && this.workerStats) {
+            const stats = { ...this.workerStats };
+            stats.bestAliveCar = stats.bestAliveIndex >= 0 ? this.workerCars[stats.bestAliveIndex] : null;
+            return stats;
+        }
+        return this.ga.getStats(this.cars);
+    }
+
+    /**
+     * Statistics of finished generations, from the worker while it trains
+     */
+    getHistory() {
+        return this.workerRunning ? this.workerHistory : this.ga.history;
+    }
+
+    /**
+     * Splits and racing line of the best lap time, from the worker while it trains
+     */
+    getBestLap() {
+        return this.workerRunning ? this.workerBestLap : this.ga.bestLap;
+    }
+
+    /**
+     * Ghost replays of past generations, from the worker while it trains
+     */
+    getReplays() {
+        return this.workerRunning ? this.workerReplays : this.ga.replays;
+    }
+
+    /**
+     * Frames simulated in the current generation, from the worker while it trains
+     */
+    getFrame() {
+        return this.workerRunning ? this.workerFrame : this.sim.frame;
+    }
+
+    /**
+     * Curriculum track being driven (0 = current track), from the worker while it trains
+     */
+    getTrackIndex() {
+        return this.workerRunning ? this.workerTrackIndex : this.sim.trackIndex;
+    }
+
+    /**
+     * Per track results of the last curriculum generation, from the worker while it trains
+     */
+    getTrackResults() {
+        return this.workerRunning ? this.workerTrackResults : this.sim.trackResults;
+    }
+
+    /**
+     * Track to draw: the one the population is driving (races use the current track)
+     */
+    getDisplayedTrack() {
+        const index = this.race ? 0 : this.getTrackIndex();
+        const entry = this.sim.curriculum[index - 1];
+        return index > 0 && entry ? entry.track : this.track;
+    }
+
+    /**
+     * Download generated text as a file
+     */
+    downloadFile(filename, text, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Export the generation history as history.csv or history.json
+     */
+    exportHistory(format, statusEl) {
+        const history = this.ga ? this.getHistory() : [];
+        if (history.length === 0) {
+            statusEl.textContent = 'No history to export';
+            statusEl.className = 'save-status error';
+            return;
+        }
+
+        if (format === 'csv') {
+            this.downloadFile('history.csv', StatsHistory.toCSV(history), 'text/csv');
+        } else {
+            this.downloadFile('history.json', StatsHistory.toJSON(history), 'application/json');
+        }
+
+        statusEl.textContent = `History of ${history.length} generations exported!`;
+        statusEl.className = 'save-status success';
+    }
+
+    /**
+     * Start or pause training
+     */
+    setRunning(running) {
+        this.running = running;
+        this.startBtn.textContent = running ? 'Pause' : 'Start';
+        this.startBtn.style.background = running ? '#e67e22' : '#4ecca3';
+
+        if (running) {
+            this.stopRace();
+
+            // Resume in the worker once a previous pause is complete
+            this.withSimulation(() => this.startWorker());
+            this.loop();
+        } else {
+            this.stopWorker();
+        }
+    }
+
+    /**
+     * Available speeds: 'max' needs the worker
+     */
+    getSpeeds() {
+        return this.worker ? [1, 2, 5, 10, 15, 'max'] : [1, 2, 5, 10, 15];
+    }
 
-        this.resetBtn.addEventListener('click', () => this.reset());
+    /**
+     * Set simulation speed (frames per rendered frame, or 'max')
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedBtn.textContent = speed === 'max' ? 'Speed: Max' : `Speed: ${speed}x`;
+        if (this.workerRunning) {
+            this.worker.postMessage({ type: 'speed', speed });
+        }
+    }
+
+    /**
+     * Setup basic events
+     */
+    setupEvents() {
+        this.startBtn.addEventListener('click', () => this.setRunning(!this.running));
+
+        this.resetBtn.addEventListener('click', () => this.withSimulation(() => this.reset()));
 
         this.speedBtn.addEventListener('click', () => {
-            const speeds = [1, 2, 5, 10, 15];
+            const speeds = this.getSpeeds();
             const currentIndex = speeds.indexOf(this.speed);
-            this.speed = speeds[(currentIndex + 1) % speeds.length];
-            this.speedBtn.textContent = `Speed: ${this.speed}x`;
+            this.setSpeed(speeds[(currentIndex + 1) % speeds.length]);
         });
 
+        if (this.racingLineBtn) {
+            this.racingLineBtn.addEventListener('click', () => this.toggleRacingLine());
+        }
+
+        if (this.driveBtn) {
+            this.driveBtn.addEventListener('click', () => this.toggleHumanCar());
+        }
+
+        // Imitation learning
+        if (this.recordLapsBtn) {
+            this.recordLapsBtn.addEventListener('click', () => this.toggleLapRecording());
+            document.getElementById('clearLapsBtn').addEventListener('click', () => {
+                this.recordedLaps = [];
+                if (this.humanCar) {
+                    this.humanCar.recording = this.recordingLaps ? this.recordedLaps : null;
+                }
+                this.updatePlayerStats();
+            });
+            document.getElementById('imitationBtn').addEventListener('click', () => this.trainFromLaps());
+        }
+
+        // Ghost replay scrubber
+        if (this.ghostEnabledEl && this.ghostGenerationEl) {
+            this.ghostEnabledEl.addEventListener('change', () => {
+                this.updateGhostControls();
+                this.draw();
+            });
+            this.ghostGenerationEl.addEventListener('input', () => {
+                this.ghostFollowLatest = this.ghostGenerationEl.value === this.ghostGenerationEl.max;
+                this.updateGhostControls();
+                this.draw();
+            });
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Arrow keys drive the human car
+            if (this.humanCar && this.humanCar.setKey(e.key, true)) {
+                e.preventDefault();
+                return;
+            }
+
+            if (this.trackEditor && this.handleEditorKey(e)) {
+                e.preventDefault();
+                return;
+            }
+
             switch (e.key) {
+                case 'Enter':
+                    if (this.humanCar) {
+                        this.resetHumanCar();
+                        e.preventDefault();
+                    }
+                    break;
                 case 's':
                 case 'S':
                     this.showSensors = !this.showSensors;
                     break;
+                case 'l':
+                case 'L':
+                    this.toggleRacingLine();
+                    break;
                 case ' ':
                     this.startBtn.click();
                     e.preventDefault();
@@ -121,21 +547,31 @@ class Game {
                     this.speedBtn.click();
                     break;
                 case '-':
-                    const speeds = [1, 2, 5, 10, 15];
+                    const speeds = this.getSpeeds();
                     const idx = speeds.indexOf(this.speed);
-                    this.speed = speeds[Math.max(0, idx - 1)];
-                    this.speedBtn.textContent = `Speed: ${this.speed}x`;
+                    this.setSpeed(speeds[Math.max(0, idx - 1)]);
                     break;
             }
         });
 
+        document.addEventListener('keyup', (e) => {
+            if (this.humanCar && this.humanCar.setKey(e.key, false)) {
+                e.preventDefault();
+            }
+        });
+
         // Save/load buttons
         const saveBtn = document.getElementById('saveBtn');
         const loadBtn = document.getElementById('loadBtn');
         const loadFile = document.getElementById('loadFile');
         const saveStatus = document.getElementById('saveStatus');
 
-        saveBtn.addEventListener('click', () => this.saveModel(saveStatus));
+        const saveSessionBtn = document.getElementById('saveSessionBtn');
+
+        saveBtn.addEventListener('click', () => this.withSimulation(() => this.saveModel(saveStatus)));
+        if (saveSessionBtn) {
+            saveSessionBtn.addEventListener('click', () => this.withSimulation(() => this.saveSession(saveStatus)));
+        }
         loadBtn.addEventListener('click', () => loadFile.click());
         loadFile.addEventListener('change', (e) => this.loadModel(e, saveStatus));
 
@@ -148,6 +584,21 @@ class Game {
         loadTrackBtn.addEventListener('click', () => loadTrackFile.click());
         loadTrackFile.addEventListener('change', (e) => this.loadTrack(e, saveStatus));
 
+        const repairTrackBtn = document.getElementById('repairTrackBtn');
+        if (repairTrackBtn) {
+            repairTrackBtn.addEventListener('click', () => this.withSimulation(() => this.repairTrack()));
+        }
+
+        // History export buttons
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportHistory('csv', saveStatus));
+        }
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.exportHistory('json', saveStatus));
+        }
+
         // Draw track button
         this.drawTrackBtn.addEventListener('click', () => {
             this.toggleDrawMode();
@@ -158,6 +609,16 @@ class Game {
             this.clearDrawing();
         });
 
+        // Edit the control points of the current track
+        const editTrackBtn = document.getElementById('editTrackBtn');
+        if (editTrackBtn) {
+            editTrackBtn.addEventListener('click', () => this.editTrack());
+        }
+        if (this.undoEditBtn) {
+            this.undoEditBtn.addEventListener('click', () => this.undoEdit(false));
+            this.redoEditBtn.addEventListener('click', () => this.undoEdit(true));
+        }
+
         // Set start button
         this.setStartBtn.addEventListener('click', () => {
             this.toggleSetStartMode();
@@ -167,13 +628,19 @@ class Game {
         this.canvas.addEventListener('mousedown', (e) => {
             if (this.isSettingStart) {
                 this.handleSetStartClick(e);
+            } else if (this.trackEditor) {
+                this.handleEditorMouseDown(e);
             } else if (this.isDrawing) {
                 this.handleDrawMouseDown(e);
             }
         });
 
         this.canvas.addEventListener('mousemove', (e) => {
-            if (this.isDrawing && this.isDragging) {
+            if (this.trackEditor && this.editorDrag >= 0) {
+                const { x, y } = this.getCanvasPoint(e);
+                this.trackEditor.moveControl(this.editorDrag, x, y);
+                this.draw();
+            } else if (this.isDrawing && this.isDragging) {
                 this.handleDrawMouseMove(e);
             }
         });
@@ -181,9 +648,17 @@ class Game {
         this.canvas.addEventListener('mouseup', () => {
             if (this.isDrawing) {
                 this.isDragging = false;
+                this.editorDrag = -1;
             }
         });
 
+        // Mouse wheel on a control point: track width there
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.trackEditor) {
+                this.handleEditorWheel(e);
+            }
+        }, { passive: false });
+
         // Disable context menu on canvas to allow right-click
         this.canvas.addEventListener('contextmenu', (e) => {
             if (this.isDrawing) {
@@ -202,7 +677,7 @@ class Game {
                 btn.addEventListener('click', () => {
                     const trackNum = index + 1;
                     if (this.unlockedTracks.includes(trackNum)) {
-                        this.loadTrackByNumber(trackNum);
+                        this.withSimulation(() => this.loadTrackByNumber(trackNum));
                     }
                 });
             }
@@ -212,12 +687,577 @@ class Game {
         if (this.nextTrackBtn) {
             this.nextTrackBtn.addEventListener('click', () => {
                 if (this.lapCompleted && this.currentTrackNumber < 4) {
-                    this.unlockNextTrack();
+                    this.withSimulation(() => this.unlockNextTrack());
                 }
             });
         }
     }
 
+    /**
+     * Race panel: add models, start and stop races
+     */
+    setupRaceEvents() {
+        const addBtn = document.getElementById('raceAddBtn');
+        const addBestBtn = document.getElementById('raceAddBestBtn');
+        const clearBtn = document.getElementById('raceClearBtn');
+        const raceFile = document.getElementById('raceFile');
+        if (!addBtn || !raceFile) return;
+
+        addBtn.addEventListener('click', () => raceFile.click());
+        raceFile.addEventListener('change', (e) => {
+            this.addRaceModels([...e.target.files]);
+            e.target.value = '';
+        });
+        addBestBtn.addEventListener('click', () => this.withSimulation(() => this.addCurrentBestToRace()));
+        clearBtn.addEventListener('click', () => {
+            this.stopRace();
+            this.raceEntries = [];
+            this.renderRaceEntries();
+        });
+        this.raceStartBtn.addEventListener('click', () => {
+            if (this.race) {
+                this.stopRace();
+            } else {
+                this.startRace();
+            }
+        });
+    }
+
+    /**
+     * Track generator: train on a random track
+     */
+    setupGeneratorEvents() {
+        const randomTrackBtn = document.getElementById('randomTrackBtn');
+        if (!randomTrackBtn) return;
+
+        randomTrackBtn.addEventListener('click', () => {
+            const seedInput = document.getElementById('generatorSeed');
+            const seed = seedInput.value !== '' ? parseInt(seedInput.value) : Random.randomSeed();
+            this.loadRandomTrack(seed);
+        });
+    }
+
+    /**
+     * Generate a track from a seed and restart training on it
+     */
+    loadRandomTrack(seed) {
+        const statusEl = document.getElementById('generatorStatus');
+
+        let data;
+        try {
+            data = TrackGenerator.generate(seed);
+        } catch (err) {
+            statusEl.textContent = err.message;
+            statusEl.className = 'save-status error';
+            return;
+        }
+
+        this.withSimulation(() => {
+            this.drawnPoints = data.points;
+            this.track = new Track(data.points, data.startX, data.startY, data.startAngle);
+            if (this.humanCar) {
+                this.resetHumanCar();
+            }
+            this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+            this.ga.reset();
+            this.cars = this.ga.createPopulation(this.track);
+            this.refreshCurriculum();
+            this.checkTrack();
+
+            this.updateUI();
+            this.draw();
+        });
+
+        statusEl.textContent = `Random #${data.seed}: ${data.length}px, ${this.track.checkpoints.length} checkpoints`;
+        statusEl.className = 'save-status success';
+    }
+
+    /**
+     * Show a message under the race panel
+     */
+    setRaceStatus(text, success = true) {
+        this.raceStatusEl.textContent = text;
+        this.raceStatusEl.className = `save-status ${success ? 'success' : 'error'}`;
+    }
+
+    /**
+     * Read a text file
+     * @returns {Promise<string>}
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`${file.name}: cannot be read`));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Add model files to the next race
+     * Files that are not valid models are skipped and reported
+     */
+    addRaceModels(files) {
+        const reads = files.map(file => this.readFile(file)
+            .then(text => Race.entryFromModel(file.name, Simulation.parseSession(text)))
+            .catch(error => new Error(error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}`)));
+
+        return Promise.all(reads).then((results) => {
+            const errors = [];
+            for (const result of results) {
+                if (result instanceof Error) {
+                    errors.push(result.message);
+                } else if (this.raceEntries.length >= Race.MAX_ENTRIES) {
+                    errors.push(`${result.name}: race is full (${Race.MAX_ENTRIES} cars)`);
+                } else {
+                    this.raceEntries.push(result);
+                }
+            }
+
+            this.renderRaceEntries();
+            if (errors.length > 0) {
+                this.setRaceStatus(errors.join(' / '), false);
+            } else {
+                this.setRaceStatus(`${this.raceEntries.length} car(s) on the grid`);
+            }
+        });
+    }
+
+    /**
+     * Add the all-time best brain of the training run to the next race
+     */
+    addCurrentBestToRace() {
+        const brain = this.ga && this.ga.allTimeBestBrain;
+        if (!brain) {
+            this.setRaceStatus('No trained model yet', false);
+            return;
+        }
+        if (this.raceEntries.length >= Race.MAX_ENTRIES) {
+            this.setRaceStatus(`Race is full (${Race.MAX_ENTRIES} cars)`, false);
+            return;
+        }
+
+        this.raceEntries.push({
+            name: `Gen ${this.ga.generation} best`,
+            brain: brain.clone(),
+            sensorCount: Config.network.sensorCount,
+            sensorRange: Config.network.sensorRange
+        });
+        this.renderRaceEntries();
+        this.setRaceStatus(`${this.raceEntries.length} car(s) on the grid`);
+    }
+
+    /**
+     * Start a race with the entries on the grid (training is paused)
+     */
+    startRace() {
+        if (!this.track || this.raceEntries.length === 0) {
+            this.setRaceStatus('Add models first', false);
+            return;
+        }
+
+        this.setRunning(false);
+        this.race = new Race(this.track, this.raceEntries);
+        this.raceStartBtn.textContent = 'Stop race';
+        this.setRaceStatus('Race started');
+        this.raceLoop();
+    }
+
+    /**
+     * Leave race mode and show the training population again
+     */
+    stopRace() {
+        if (!this.race) return;
+
+        this.race = null;
+        this.raceStartBtn.textContent = 'Start race';
+        this.renderRaceEntries();
+        this.draw();
+    }
+
+    /**
+     * Race loop: the cars stay on screen with the standings once it is over
+     */
+    raceLoop() {
+        const race = this.race;
+        if (!race) return;
+
+        const steps = this.speed === 'max' ? 15 : this.speed;
+        for (let i = 0; i < steps && !race.isOver(); i++) {
+            race.update();
+        }
+
+        this.draw();
+        this.renderRaceResults();
+
+        if (race.isOver()) {
+            this.raceStartBtn.textContent = 'Close race';
+            this.setRaceStatus('Race over');
+            return;
+        }
+        requestAnimationFrame(() => this.raceLoop());
+    }
+
+    /**
+     * List the cars on the grid
+     */
+    renderRaceEntries() {
+        if (!this.raceEntriesEl) return;
+
+        this.raceEntriesEl.replaceChildren(...this.raceEntries.map((entry, i) =>
+            this.createRaceRow(Race.COLORS[i % Race.COLORS.length], `${i + 1}. ${entry.name}`,
+                `${entry.sensorCount} sensors`)));
+    }
+
+    /**
+     * Standings of the current race
+     */
+    renderRaceResults() {
+        if (!this.raceEntriesEl || !this.race) return;
+
+        this.raceEntriesEl.replaceChildren(...this.race.getResults().map((result) => {
+            const laps = result.lapTimes.map(t => (t / 60).toFixed(2) + 's').join(' ');
+            const status = result.outcome === 'finished'
+                ? `${(result.finishTime / 60).toFixed(2)}s`
+                : `${result.outcome}, ${result.laps} lap(s)`;
+            return this.createRaceRow(result.color, `${result.position}. ${result.name}`,
+                `${status} | crashes ${result.crashes}`, laps);
+        }));
+    }
+
+    /**
+     * One line of the race list: colored name, info, optional lap times
+     */
+    createRaceRow(color, name, info, details = '') {
+        const row = document.createElement('div');
+        row.className = 'race-row';
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'race-name';
+        nameEl.style.color = color;
+        nameEl.textContent = name;
+
+        const infoEl = document.createElement('span');
+        infoEl.className = 'race-info';
+        infoEl.textContent = info;
+
+        row.append(nameEl, infoEl);
+        if (details) {
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'race-laps';
+            detailsEl.textContent = details;
+            row.append(detailsEl);
+        }
+        return row;
+    }
+
+    /**
+     * Show or remove the human car
+     */
+    toggleHumanCar() {
+        if (this.humanCar) {
+            this.humanCar = null;
+        } else if (this.track) {
+            this.resetHumanCar();
+            this.humanLoopId++;
+            this.humanLoop(this.humanLoopId);
+        }
+
+        const driving = this.humanCar !== null;
+        this.driveBtn.textContent = driving ? 'Stop driving' : 'Drive';
+        if (this.playerPanel) this.playerPanel.style.display = driving ? 'block' : 'none';
+        this.draw();
+    }
+
+    /**
+     * Put a new human car on the start line (keys held are kept)
+     */
+    resetHumanCar() {
+        const keys = this.humanCar ? this.humanCar.keys : null;
+        this.humanCar = new HumanCar(this.track.startX, this.track.startY, this.track.startAngle);
+        this.humanCar.recording = this.recordingLaps ? this.recordedLaps : null;
+        if (keys) {
+            this.humanCar.keys = keys;
+        }
+    }
+
+    /**
+     * Start or stop recording the laps of the human car
+     */
+    toggleLapRecording() {
+        this.recordingLaps = !this.recordingLaps;
+        this.recordLapsBtn.textContent = `Record: ${this.recordingLaps ? 'on' : 'off'}`;
+
+        if (this.humanCar) {
+            // A lap is only kept if it was recorded from start to finish
+            this.humanCar.recording = this.recordingLaps ? this.recordedLaps : null;
+            this.humanCar.lapFrames = [];
+        }
+    }
+
+    /**
+     * Train a network on the recorded laps and start a new population from it
+     */
+    trainFromLaps() {
+        const statusEl = this.imitationStatusEl;
+        statusEl.textContent = 'Training...';
+        statusEl.className = 'save-status';
+
+        // Let the page show the message before the (blocking) training
+        setTimeout(() => this.withSimulation(() => {
+            try {
+                const { network, frames, loss } = Imitation.train(this.recordedLaps);
+                this.seedPopulation(network);
+                statusEl.textContent = `Trained on ${frames} frames (loss ${loss.toFixed(3)})`;
+                statusEl.className = 'save-status success';
+            } catch (error) {
+                statusEl.textContent = error.message;
+                statusEl.className = 'save-status error';
+            }
+        }), 0);
+    }
+
+    /**
+     * Curriculum buttons: add track.json files, clear them
+     */
+    setupCurriculumEvents() {
+        const addBtn = document.getElementById('curriculumAddBtn');
+        const randomBtn = document.getElementById('curriculumRandomBtn');
+        const clearBtn = document.getElementById('curriculumClearBtn');
+        const curriculumFile = document.getElementById('curriculumFile');
+        if (!addBtn || !curriculumFile) return;
+
+        addBtn.addEventListener('click', () => curriculumFile.click());
+        randomBtn.addEventListener('click', () => this.addRandomCurriculumTracks());
+        curriculumFile.addEventListener('change', (e) => {
+            this.addCurriculumTracks([...e.target.files]);
+            e.target.value = '';
+        });
+        clearBtn.addEventListener('click', () => this.withSimulation(() => {
+            this.curriculumFiles = [];
+            this.refreshCurriculum();
+            this.setCurriculumStatus('Built-in tracks only');
+            this.updateUI();
+        }));
+    }
+
+    /**
+     * Show a message under the curriculum tracks
+     */
+    setCurriculumStatus(text, success = true) {
+        if (!this.curriculumStatusEl) return;
+        this.curriculumStatusEl.textContent = text;
+        this.curriculumStatusEl.className = `save-status ${success ? 'success' : 'error'}`;
+    }
+
+    /**
+     * Add track.json files to the curriculum
+     * Files that are not valid tracks are skipped and reported
+     */
+    addCurriculumTracks(files) {
+        const reads = files.map(file => this.readFile(file)
+            .then((text) => {
+                const data = JSON.parse(text);
+                Track.checkData(data);
+                return { name: file.name, track: new Track(data.points, data.startX, data.startY, data.startAngle) };
+            })
+            .catch(error => new Error(error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}`)));
+
+        return Promise.all(reads).then((results) => {
+            const errors = results.filter(result => result instanceof Error).map(error => error.message);
+            const tracks = results.filter(result => !(result instanceof Error));
+
+            this.withSimulation(() => {
+                this.curriculumFiles.push(...tracks);
+                this.refreshCurriculum();
+                this.updateUI();
+            });
+
+            if (errors.length > 0) {
+                this.setCurriculumStatus(errors.join(' / '), false);
+            } else {
+                this.setCurriculumStatus(`${tracks.length} track(s) added`);
+            }
+        });
+    }
+
+    /**
+     * Add a few random tracks to the curriculum (fresh seeds every time)
+     */
+    addRandomCurriculumTracks() {
+        const count = 4;
+        let tracks;
+        try {
+            tracks = TrackGenerator.generateSet(count, Random.randomSeed());
+        } catch (err) {
+            this.setCurriculumStatus(err.message, false);
+            return;
+        }
+
+        this.withSimulation(() => {
+            this.curriculumFiles.push(...tracks.map(({ name, data }) => ({
+                name,
+                track: new Track(data.points, data.startX, data.startY, data.startAngle)
+            })));
+            this.refreshCurriculum();
+            this.updateUI();
+        });
+        this.setCurriculumStatus(`${count} random tracks added`);
+    }
+
+    /**
+     * Built-in track number of the current track, or null for a custom track
+     */
+    getHomeTrackNumber() {
+        if (!this.track) return null;
+
+        const line = JSON.stringify(this.track.centerLine);
+        return Object.keys(BUILT_IN_TRACKS).find(number =>
+            JSON.stringify(BUILT_IN_TRACKS[number].points) === line) || null;
+    }
+
+    /**
+     * Track object of a built-in track (walls and checkpoints are built once)
+     */
+    getBuiltInTrack(number) {
+        if (!this.builtInTracks[number]) {
+            const data = BUILT_IN_TRACKS[number];
+            this.builtInTracks[number] = new Track(data.points, data.startX, data.startY, data.startAngle);
+        }
+        return this.builtInTracks[number];
+    }
+
+    /**
+     * Give the simulation its curriculum: the built-in tracks other than the
+     * current one, then the loaded track.json files
+     * Must run on the up-to-date simulation (see withSimulation)
+     */
+    refreshCurriculum() {
+        const home = this.getHomeTrackNumber();
+        const builtIn = Object.keys(BUILT_IN_TRACKS)
+            .filter(number => number !== home)
+            .map(number => ({ name: `Track ${number}`, track: this.getBuiltInTrack(number) }));
+
+        this.sim.setCurriculum([...builtIn, ...this.curriculumFiles]);
+        this.homeTrackName = home ? `Track ${home}` : 'Custom track';
+        this.renderCurriculumFiles();
+    }
+
+    /**
+     * Loaded track.json files of the curriculum
+     */
+    renderCurriculumFiles() {
+        if (!this.curriculumTracksEl) return;
+
+        this.curriculumTracksEl.replaceChildren(...this.curriculumFiles.map(entry =>
+            this.createRaceRow('#4ecca3', entry.name, `${entry.track.checkpoints.length} checkpoints`)));
+    }
+
+    /**
+     * Per track results in the stats panel, the track being driven highlighted
+     */
+    updateCurriculumResults() {
+        const el = this.curriculumResultsEl;
+        if (!el) return;
+
+        const active = Config.curriculum.enabled && this.sim.curriculum.length > 0;
+        el.style.display = active ? 'block' : 'none';
+        if (!active) return;
+
+        const names = [this.homeTrackName, ...this.sim.curriculum.map(entry => entry.name)];
+        const results = this.getTrackResults();
+        const index = this.getTrackIndex();
+
+        // Rebuilt only when something changed (the worker sends results with every frame)
+        const key = JSON.stringify([names, results, index]);
+        if (key === this.renderedCurriculum) return;
+        this.renderedCurriculum = key;
+
+        const format = (frames) => frames < Infinity ? (frames / 60).toFixed(2) + 's' : '--';
+        el.replaceChildren(...names.map((name, t) => {
+            const result = results[t];
+            const color = t === index ? '#4ecca3' : '#ccc';
+            if (!result) {
+                return this.createRaceRow(color, name, '-');
+            }
+            return this.createRaceRow(color, name, `best ${Math.round(result.bestFitness)} | laps ${result.laps}`,
+                `mean ${Math.round(result.meanFitness)}, ${result.finished} lapped, best lap ${format(result.bestLapTime)}`);
+        }));
+    }
+
+    /**
+     * New population around a given brain (its mutated copies)
+     */
+    seedPopulation(brain) {
+        this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+        this.ga.reset();
+        this.ga.allTimeBestBrain = brain;
+        this.ga.bestBrain = brain.clone();
+        this.cars = this.ga.createPopulation(this.track);
+
+        this.updateUI();
+        this.draw();
+    }
+
+    /**
+     * Human car loop: one frame per animation frame, whatever the training speed
+     * The canvas is only redrawn here when training and races are not drawing it
+     */
+    humanLoop(loopId) {
+        // Stopped, or replaced by a newer loop
+        const car = this.humanCar;
+        if (!car || loopId !== this.humanLoopId) return;
+
+        if (car.alive) {
+            car.update(this.track.walls, this.track.checkpoints, this.track.wallGrid);
+        }
+
+        const racing = this.race && !this.race.isOver();
+        if (!this.running && !racing) {
+            this.draw();
+        }
+        this.updatePlayerStats();
+
+        requestAnimationFrame(() => this.humanLoop(loopId));
+    }
+
+    /**
+     * Player lap times next to the best lap time of the AI
+     */
+    updatePlayerStats() {
+        const car = this.humanCar;
+        if (!car || !this.playerLapEl) return;
+
+        const format = (frames) => frames < Infinity ? (frames / 60).toFixed(2) + 's' : '--';
+
+        if (car.alive) {
+            this.playerLapEl.textContent = `${car.laps + 1}: ${format(car.currentLapTime)}`;
+        } else {
+            this.playerLapEl.textContent = car.finishedLap ? 'finished' : (car.crashed ? 'crashed' : 'stopped');
+        }
+        this.playerLapTimesEl.textContent = car.lapTimes.length > 0 ? car.lapTimes.map(format).join(' ') : '-';
+        this.playerBestLapEl.textContent = format(car.bestLapTime);
+
+        if (this.recordedLapsEl) {
+            const frames = this.recordedLaps.reduce((sum, lap) => sum + lap.length, 0);
+            this.recordedLapsEl.textContent = `${this.recordedLaps.length} (${frames} frames)`;
+        }
+
+        // Best lap of the AI: the worker only sends it with the racing line
+        const bestLap = this.getBestLap();
+        const aiBest = this.workerRunning ? (bestLap ? bestLap.time : Infinity) : this.ga.bestLapTime;
+        this.aiBestLapEl.textContent = format(aiBest);
+
+        if (car.bestLapTime < Infinity && aiBest < Infinity) {
+            const gap = (car.bestLapTime - aiBest) / 60;
+            this.playerGapEl.textContent = `${gap > 0 ? '+' : ''}${gap.toFixed(2)}s`;
+            this.playerGapEl.style.color = gap > 0 ? '#e74c3c' : '#4ecca3';
+        } else {
+            this.playerGapEl.textContent = '-';
+            this.playerGapEl.style.color = '';
+        }
+    }
+
     /**
      * Load a specific track by number
      */
@@ -230,13 +1270,19 @@ class Game {
         }
 
         // Load track
+        this.stopRace();
         this.drawnPoints = data.points;
         this.track = new Track(this.drawnPoints, data.startX, data.startY, data.startAngle);
+        if (this.humanCar) {
+            this.resetHumanCar();
+        }
 
             // Reset AI
             this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
             this.ga.reset();
             this.cars = this.ga.createPopulation(this.track);
+            this.refreshCurriculum();
+            this.checkTrack();
 
             // Update state
             this.currentTrackNumber = trackNumber;
@@ -318,23 +1364,30 @@ class Game {
     checkLapCompletion() {
         for (const car of this.cars) {
             if (car.laps > 0 || car.finishedLap) {
-                if (!this.lapCompleted) {
-                    this.lapCompleted = true;
-                    // Unlock next track button immediately
-                    const nextTrackNum = this.currentTrackNumber + 1;
-                    if (nextTrackNum <= 4 && !this.unlockedTracks.includes(nextTrackNum)) {
-                        this.unlockedTracks.push(nextTrackNum);
-                    }
-                    this.updateTrackButtonsUI();
-                    this.updateNextTrackButton();
-                    console.log(`Lap completed! Track ${nextTrackNum} unlocked.`);
-                }
+                this.markLapCompleted();
                 return true;
             }
         }
         return false;
     }
 
+    /**
+     * First lap on the current track: unlock the next one
+     */
+    markLapCompleted() {
+        if (this.lapCompleted) return;
+
+        this.lapCompleted = true;
+        // Unlock next track button immediately
+        const nextTrackNum = this.currentTrackNumber + 1;
+        if (nextTrackNum <= 4 && !this.unlockedTracks.includes(nextTrackNum)) {
+            this.unlockedTracks.push(nextTrackNum);
+        }
+        this.updateTrackButtonsUI();
+        this.updateNextTrackButton();
+        console.log(`Lap completed! Track ${nextTrackNum} unlocked.`);
+    }
+
     /**
      * Setup events for configuration panel
      */
@@ -342,7 +1395,6 @@ class Game {
         // List of all sliders with their ID and associated label ID
         const sliders = [
             // Network
-            { id: 'hiddenSize', labelId: 'hiddenSizeValue' },
             { id: 'sensorCount', labelId: 'sensorCountValue' },
             { id: 'sensorRange', labelId: 'sensorRangeValue' },
             // Genetic
@@ -350,6 +1402,11 @@ class Game {
             { id: 'mutationRate', labelId: 'mutationValue' },
             { id: 'elitism', labelId: 'elitismValue' },
             { id: 'crossoverRate', labelId: 'crossoverValue' },
+            { id: 'tournamentSize', labelId: 'tournamentSizeValue' },
+            { id: 'survivorRate', labelId: 'survivorRateValue' },
+            { id: 'mutationSigma', labelId: 'mutationSigmaValue', format: (v) => (v / 100).toFixed(2) },
+            { id: 'stepSize', labelId: 'stepSizeValue', format: (v) => (v / 100).toFixed(2) },
+            { id: 'learningRate', labelId: 'learningRateValue', format: (v) => (v / 100).toFixed(2) },
             // Adaptive
             { id: 'stagnationThreshold', labelId: 'stagnationThresholdValue' },
             { id: 'mutationBoost', labelId: 'mutationBoostValue' },
@@ -359,17 +1416,33 @@ class Game {
             { id: 'kNeighbors', labelId: 'kNeighborsValue' },
             // Sharing
             { id: 'nicheSigma', labelId: 'nicheSigmaValue' },
+            // NEAT
+            { id: 'compatibilityThreshold', labelId: 'compatibilityThresholdValue', format: (v) => (v / 10).toFixed(1) },
+            { id: 'addNodeRate', labelId: 'addNodeRateValue' },
+            { id: 'addConnectionRate', labelId: 'addConnectionRateValue' },
             // Fitness
             { id: 'checkpointWeight', labelId: 'checkpointWeightValue' },
             { id: 'approachWeight', labelId: 'approachWeightValue' },
             { id: 'speedWeight', labelId: 'speedWeightValue' },
             { id: 'explorationWeight', labelId: 'explorationWeightValue' },
             { id: 'stuckPenalty', labelId: 'stuckPenaltyValue' },
+            { id: 'contactPenalty', labelId: 'contactPenaltyValue' },
+            // Race
+            { id: 'raceLaps', labelId: 'raceLapsValue' },
+            { id: 'consistencyWeight', labelId: 'consistencyWeightValue' },
             // Physics
             { id: 'maxSpeed', labelId: 'maxSpeedValue' },
             { id: 'acceleration', labelId: 'accelerationValue', format: (v) => (v / 100).toFixed(2) },
             { id: 'friction', labelId: 'frictionValue' },
-            { id: 'turnReduction', labelId: 'turnReductionValue' }
+            { id: 'turnReduction', labelId: 'turnReductionValue' },
+            { id: 'grip', labelId: 'gripValue', format: (v) => (v / 100).toFixed(2) },
+            { id: 'gripBalance', labelId: 'gripBalanceValue' },
+            { id: 'bounceSpeedLoss', labelId: 'bounceSpeedLossValue' },
+            // Random tracks
+            { id: 'generatorCorners', labelId: 'generatorCornersValue' },
+            { id: 'generatorMinRadius', labelId: 'generatorMinRadiusValue' },
+            { id: 'generatorLength', labelId: 'generatorLengthValue' },
+            { id: 'generatorWidthVariation', labelId: 'generatorWidthVariationValue' }
         ];
 
         // Add events to update labels
@@ -386,7 +1459,7 @@ class Game {
         });
 
         // Checkboxes
-        const checkboxes = ['adaptiveMutation', 'noveltySearch', 'fitnessSharing'];
+        const checkboxes = ['adaptiveMutation', 'noveltySearch', 'fitnessSharing', 'neatEnabled', 'flyingLap', 'curriculumEnabled'];
         checkboxes.forEach(id => {
             const checkbox = document.getElementById(id);
             if (checkbox) {
@@ -394,10 +1467,50 @@ class Game {
             }
         });
 
+        // Hidden layers (sliders are rebuilt when layers are added/removed)
+        const hiddenLayers = document.getElementById('hiddenLayers');
+        if (hiddenLayers) {
+            hiddenLayers.addEventListener('input', (e) => {
+                if (!e.target.classList.contains('hidden-layer-size')) return;
+                e.target.parentElement.querySelector('.hidden-layer-value').textContent = e.target.value;
+                this.markConfigChanged();
+            });
+            hiddenLayers.addEventListener('change', (e) => {
+                if (e.target.classList.contains('hidden-layer-activation')) {
+                    this.markConfigChanged();
+                }
+            });
+        }
+
+        // Selects
+        const selects = ['optimizer', 'selection', 'mutationType', 'outputActivation', 'outputMode', 'physicsModel', 'collisionMode', 'curriculumAggregate'];
+        selects.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.markConfigChanged());
+            }
+        });
+
+        const addLayerBtn = document.getElementById('addLayerBtn');
+        if (addLayerBtn) {
+            addLayerBtn.addEventListener('click', () => this.changeHiddenLayerCount(1));
+        }
+
+        const removeLayerBtn = document.getElementById('removeLayerBtn');
+        if (removeLayerBtn) {
+            removeLayerBtn.addEventListener('click', () => this.changeHiddenLayerCount(-1));
+        }
+
+        // Seed
+        const seedInput = document.getElementById('seed');
+        if (seedInput) {
+            seedInput.addEventListener('input', () => this.markConfigChanged());
+        }
+
         // Apply button
         const applyBtn = document.getElementById('applyConfigBtn');
         if (applyBtn) {
-            applyBtn.addEventListener('click', () => this.applyConfig());
+            applyBtn.addEventListener('click', () => this.withSimulation(() => this.applyConfig()));
         }
 
         // Reset Config button
@@ -410,6 +1523,27 @@ class Game {
         }
     }
 
+    /**
+     * Add (+1) or remove (-1) a hidden layer in the configuration panel
+     */
+    changeHiddenLayerCount(delta) {
+        const { sizes, activations } = Config.readHiddenLayersUI();
+
+        if (delta > 0 && sizes.length < Config.hiddenLayerLimits.maxLayers) {
+            // New layer starts with the size and activation of the last one
+            sizes.push(sizes.length > 0 ? sizes[sizes.length - 1] : Config.hiddenLayerLimits.minNeurons);
+            activations.push(activations.length > 0 ? activations[activations.length - 1] : 'sigmoid');
+        } else if (delta < 0 && sizes.length > 1) {
+            sizes.pop();
+            activations.pop();
+        } else {
+            return;
+        }
+
+        Config.renderHiddenLayers(sizes, activations);
+        this.markConfigChanged();
+    }
+
     /**
      * Mark that configuration has changed (not applied)
      */
@@ -460,9 +1594,7 @@ class Game {
         // Notification
         const saveStatus = document.getElementById('saveStatus');
         if (saveStatus) {
-            saveStatus.textContent = trackChanged
-                ? `Config applied! Track: ${this.track.checkpoints.length} checkpoints`
-                : 'Configuration applied!';
+            saveStatus.textContent = 'Configuration applied!';
             saveStatus.className = 'save-status success';
             setTimeout(() => { saveStatus.textContent = ''; }, 3000);
         }
@@ -472,6 +1604,7 @@ class Game {
             mutation: Config.genetic.mutationRate,
             novelty: Config.novelty.enabled,
             sharing: Config.sharing.enabled,
+            neat: Config.neat.enabled,
             adaptive: Config.adaptive.enabled,
             trackWidth: Config.track.width,
             checkpoints: this.track.checkpoints.length
@@ -484,58 +1617,80 @@ class Game {
     checkNetworkStructureChanged() {
         if (!this.ga.allTimeBestBrain) return false;
 
-        const currentInputSize = this.ga.allTimeBestBrain.inputSize;
-        const currentHiddenSize = this.ga.allTimeBestBrain.hiddenSize;
-        const newInputSize = Config.getInputSize();
-        const newHiddenSize = Config.network.hiddenSize;
+        const brain = this.ga.allTimeBestBrain;
 
-        return currentInputSize !== newInputSize || currentHiddenSize !== newHiddenSize;
+        // Switching between fixed networks and NEAT genomes
+        const isNeat = brain instanceof NeatGenome;
+        if (isNeat !== Config.neat.enabled) return true;
+        if (isNeat) {
+            return brain.inputSize !== Config.getInputSize() || brain.outputSize !== Config.getOutputSize();
+        }
+
+        const newSizes = Config.getLayerSizes();
+        const newActivations = Config.getActivations();
+
+        return brain.layerSizes.length !== newSizes.length ||
+            brain.layerSizes.some((size, l) => size !== newSizes[l]) ||
+            brain.activations.some((name, l) => name !== newActivations[l]);
     }
 
     /**
      * Save best model to model.json
      */
     saveModel(statusEl) {
-        const bestBrain = this.ga.allTimeBestBrain || this.ga.bestBrain;
+        const saveData = this.sim.getModelData(this.drawnPoints);
 
-        if (!bestBrain) {
+        if (!saveData) {
             statusEl.textContent = 'No model to save';
             statusEl.className = 'save-status error';
             return;
         }
 
-        const saveData = {
-            version: 2,
-            generation: this.ga.generation,
-            bestFitness: this.ga.bestFitness,
-            bestLaps: this.ga.bestLaps,
-            bestLapTime: this.ga.bestLapTime,
-            brain: bestBrain.toJSON(),
-            config: {
-                network: Config.network,
-                genetic: Config.genetic,
-                adaptive: Config.adaptive,
-                novelty: Config.novelty,
-                sharing: Config.sharing,
-                fitness: Config.fitness,
-                physics: Config.physics
-            },
-            customTrackPoints: this.drawnPoints.length > 0 ? this.drawnPoints : null,
-            date: new Date().toISOString()
-        };
+        this.downloadFile('model.json', JSON.stringify(saveData, null, 2), 'application/json');
 
-        const blob = new Blob([JSON.stringify(saveData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+        statusEl.textContent = `Model Gen ${this.ga.generation} saved!`;
+        statusEl.className = 'save-status success';
+    }
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'model.json';
-        a.click();
+    /**
+     * Save the whole training session (population, algorithm state, track) to session.json
+     */
+    saveSession(statusEl) {
+        if (!this.track || !this.ga) {
+            statusEl.textContent = 'No session to save';
+            statusEl.className = 'save-status error';
+            return;
+        }
 
-        URL.revokeObjectURL(url);
+        const text = Simulation.stringifySession(this.sim.getSessionData());
+        this.downloadFile('session.json', text, 'application/json');
 
-        statusEl.textContent = `Model Gen ${this.ga.generation} saved!`;
+        statusEl.textContent = `Session Gen ${this.ga.generation} saved!`;
+        statusEl.className = 'save-status success';
+    }
+
+    /**
+     * Resume a saved session: training continues where it stopped
+     */
+    loadSession(data, statusEl) {
+        this.sim.loadSessionData(data);
+        this.drawnPoints = this.track.centerLine;
+
+        // The session keeps its curriculum: its track files replace the loaded ones
+        const builtInNames = Object.keys(BUILT_IN_TRACKS).map(number => `Track ${number}`);
+        this.curriculumFiles = this.sim.curriculum.filter(entry => !builtInNames.includes(entry.name));
+        const home = this.getHomeTrackNumber();
+        this.homeTrackName = home ? `Track ${home}` : 'Custom track';
+        this.renderCurriculumFiles();
+        this.checkTrack();
+        Config.syncUIInputs();
+        this.clearConfigChanged();
+
+        statusEl.textContent = `Session Gen ${this.ga.generation} loaded!`;
         statusEl.className = 'save-status success';
+
+        this.updateUI();
+        this.draw();
     }
 
     /**
@@ -547,16 +1702,21 @@ class Game {
     }
 
     /**
-     * Load a saved model
+     * Load a saved model or session
      */
     loadModel(event, statusEl) {
         const file = event.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = (e) => this.withSimulation(() => {
             try {
-                const data = JSON.parse(e.target.result);
+                const data = Simulation.parseSession(e.target.result);
+
+                if (data.type === 'session') {
+                    this.loadSession(data, statusEl);
+                    return;
+                }
 
                 if (!data.brain) {
                     throw new Error('Invalid format');
@@ -564,19 +1724,19 @@ class Game {
 
                 // Restaurer la config si présente
                 if (data.config) {
-                    Object.assign(Config.network, data.config.network || {});
-                    Object.assign(Config.genetic, data.config.genetic || {});
-                    Object.assign(Config.adaptive, data.config.adaptive || {});
-                    Object.assign(Config.novelty, data.config.novelty || {});
-                    Object.assign(Config.sharing, data.config.sharing || {});
-                    Object.assign(Config.fitness, data.config.fitness || {});
-                    Object.assign(Config.physics, data.config.physics || {});
-                    Config.syncUIInputs();
+                    Config.loadFromJSON(data.config);
                 }
 
+                // Reuse the seed of the saved run so it can be replayed
+                if (data.seed !== undefined) {
+                    Config.genetic.seed = data.seed;
+                }
+                Config.syncUIInputs();
+
                 // Load brain
-                const loadedBrain = NeuralNetwork.fromJSON(data.brain);
                 this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+                this.ga.reset();
+                const loadedBrain = GeneticAlgorithm.brainFromJSON(data.brain);
                 this.ga.allTimeBestBrain = loadedBrain;
                 this.ga.bestBrain = loadedBrain.clone();
                 this.ga.bestFitness = data.bestFitness || 0;
@@ -585,12 +1745,19 @@ class Game {
 
                 // Restore custom track if present
                 if (data.customTrackPoints) {
+                    try {
+                        Track.checkData({ points: data.customTrackPoints });
+                    } catch (err) {
+                        throw new Error(`track of the model: ${err.message}`);
+                    }
                     this.drawnPoints = data.customTrackPoints;
                     this.track = new Track(this.drawnPoints);
                 }
 
                 // Create new population based on this brain
                 this.cars = this.ga.createPopulation(this.track);
+                this.refreshCurriculum();
+                this.checkTrack();
 
                 statusEl.textContent = `Model Gen ${data.generation} loaded!`;
                 statusEl.className = 'save-status success';
@@ -599,11 +1766,11 @@ class Game {
                 this.draw();
 
             } catch (err) {
-                statusEl.textContent = 'Error: invalid file';
+                statusEl.textContent = `Error: ${err.message}`;
                 statusEl.className = 'save-status error';
                 console.error(err);
             }
-        };
+        });
         reader.readAsText(file);
 
         event.target.value = '';
@@ -613,9 +1780,8 @@ class Game {
      * Reset the game
      */
     reset() {
-        this.running = false;
-        this.startBtn.textContent = 'Start';
-        this.startBtn.style.background = '#4ecca3';
+        this.setRunning(false);
+        this.stopRace();
         if (this.ga && this.track) {
             this.ga.reset();
             this.ga.populationSize = Config.genetic.populationSize;
@@ -632,9 +1798,11 @@ class Game {
     loop() {
         if (!this.running) return;
 
-        // Execute multiple frames if speed > 1
-        for (let i = 0; i < this.speed; i++) {
-            this.update();
+        // Execute multiple frames if speed > 1 (the worker simulates on its own)
+        if (!this.workerRunning) {
+            for (let i = 0; i < this.speed; i++) {
+                this.update();
+            }
         }
 
         this.draw();
@@ -651,17 +1819,25 @@ class Game {
         if (!this.track || !this.ga) return;
 
         // Update each car
-        for (const car of this.cars) {
-            car.update(this.track.walls, this.track.checkpoints);
-        }
+        this.sim.updateCars();
 
         // Check if any car completed a lap
         this.checkLapCompletion();
 
         // If all cars are dead, new generation
-        if (this.ga.allDead(this.cars)) {
-            this.cars = this.ga.evolve(this.cars, this.track);
+        this.sim.evolveIfDone();
+    }
+
+    /**
+     * Mutation rate and strength, e.g. "5% σ 0.20" (see GeneticAlgorithm.getMutationStrength)
+     */
+    formatMutation(stats) {
+        const strength = stats.mutationStrength;
+        if (strength === null || strength === undefined) {
+            return `${stats.mutationRate}% reset`;
         }
+        const symbol = Config.genetic.mutationType === 'uniform' ? '±' : 'σ ';
+        return `${stats.mutationRate}% ${symbol}${strength.toFixed(2)}`;
     }
 
     /**
@@ -671,7 +1847,7 @@ class Game {
         // Skip if GA not initialized yet
         if (!this.ga) return;
 
-        const stats = this.ga.getStats(this.cars);
+        const stats = this.getStats();
 
         // Global stats
         if (this.generationEl) this.generationEl.textContent = stats.generation;
@@ -681,10 +1857,15 @@ class Game {
         if (this.bestLapTimeEl) this.bestLapTimeEl.textContent = stats.bestLapTime;
         if (this.diversityEl) this.diversityEl.textContent = stats.diversity;
         if (this.stagnationEl) this.stagnationEl.textContent = stats.stagnation;
+        if (this.seedEl) this.seedEl.textContent = stats.seed;
+        if (this.speciesEl) this.speciesEl.textContent = stats.species;
+        this.updateCurriculumResults();
+        if (this.mutationStrengthEl) this.mutationStrengthEl.textContent = this.formatMutation(stats);
+        if (this.speciesRowEl) this.speciesRowEl.style.display = Config.neat.enabled ? 'flex' : 'none';
 
         // Stats of best alive car
         const best = stats.bestAliveCar;
-        const totalCheckpoints = this.track ? this.track.checkpoints.length : 0;
+        const totalCheckpoints = this.track ? this.getDisplayedTrack().checkpoints.length : 0;
         if (best) {
             if (this.currentCheckpointsEl) {
                 this.currentCheckpointsEl.textContent = `${best.checkpointIndex}/${totalCheckpoints}`;
@@ -698,11 +1879,227 @@ class Game {
             if (this.currentNoveltyEl) {
                 this.currentNoveltyEl.textContent = Math.round(best.novelty || 0);
             }
+            if (this.currentContactsEl) {
+                this.currentContactsEl.textContent = best.wallContacts;
+            }
         } else {
             if (this.currentCheckpointsEl) this.currentCheckpointsEl.textContent = '-';
             if (this.currentSpeedEl) this.currentSpeedEl.textContent = '-';
             if (this.currentFitnessEl) this.currentFitnessEl.textContent = '-';
             if (this.currentNoveltyEl) this.currentNoveltyEl.textContent = '-';
+            if (this.currentContactsEl) this.currentContactsEl.textContent = '-';
+        }
+
+        this.updateDeltaToBest(best);
+        this.updateLeaderLapTimes();
+        this.updateGhostControls();
+        this.drawNetwork(best);
+        this.drawHistory();
+    }
+
+    /**
+     * Lap times of the leading car (most laps, then best fitness), finished or not
+     */
+    updateLeaderLapTimes() {
+        if (!this.leaderLapTimesEl) return;
+
+        const cars = this.getDisplayedCars();
+        const leader = cars.reduce((best, car) =>
+            !best || car.laps > best.laps || (car.laps === best.laps && car.fitness > best.fitness) ? car : best, null);
+
+        if (!leader || leader.lapTimes.length === 0) {
+            this.leaderLapTimesEl.textContent = leader && leader.laps > 0 ? 'out lap' : '-';
+            return;
+        }
+        this.leaderLapTimesEl.textContent = leader.lapTimes.map(t => (t / 60).toFixed(2) + 's').join(' ');
+    }
+
+    /**
+     * Gap between a car and the best lap at the last checkpoint it passed
+     * (negative: ahead of the best lap)
+     * The best lap is recorded on the current track: no gap while a curriculum track is driven
+     */
+    updateDeltaToBest(car) {
+        if (!this.deltaToBestEl) return;
+
+        const bestLap = this.getBestLap();
+        const outLap = Config.race.flyingLap && car && car.laps === 0;
+        const otherTrack = !this.race && this.getTrackIndex() > 0;
+        const checkpoint = car ? car.splits.length - 1 : -1;
+
+        if (!bestLap || outLap || otherTrack || checkpoint < 0) {
+            this.deltaToBestEl.textContent = '-';
+            this.deltaToBestEl.style.color = '';
+            return;
+        }
+
+        const delta = (car.splits[checkpoint] - bestLap.splits[checkpoint]) / 60;
+        this.deltaToBestEl.textContent = `CP ${checkpoint + 1}: ${delta > 0 ? '+' : ''}${delta.toFixed(2)}s`;
+        this.deltaToBestEl.style.color = delta > 0 ? '#e74c3c' : '#4ecca3';
+    }
+
+    /**
+     * Show or hide the racing line of the best lap
+     */
+    toggleRacingLine() {
+        this.showRacingLine = !this.showRacingLine;
+        if (this.racingLineBtn) {
+            this.racingLineBtn.textContent = `Racing line: ${this.showRacingLine ? 'on' : 'off'}`;
+        }
+        this.draw();
+    }
+
+    /**
+     * Draw the path of the best lap, from red (slowest) to green (fastest)
+     */
+    drawRacingLine(bestLap) {
+        const points = bestLap.trajectory;
+        if (points.length < 6) return;
+
+        let minSpeed = Infinity;
+        let maxSpeed = -Infinity;
+        for (let i = 2; i < points.length; i += 3) {
+            minSpeed = Math.min(minSpeed, points[i]);
+            maxSpeed = Math.max(maxSpeed, points[i]);
+        }
+        const range = maxSpeed - minSpeed || 1;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.globalAlpha = 0.8;
+        for (let i = 3; i < points.length; i += 3) {
+            const hue = (points[i + 2] - minSpeed) / range * 120;
+            ctx.strokeStyle = `hsl(${hue}, 100%, 50%)`;
+            ctx.beginPath();
+            ctx.moveTo(points[i - 3], points[i - 2]);
+            ctx.lineTo(points[i], points[i + 1]);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Scrubber range over the stored replays, and the chosen generation
+     */
+    updateGhostControls() {
+        if (!this.ghostGenerationEl) return;
+
+        const replays = this.getReplays();
+        const enabled = this.ghostEnabledEl.checked && replays.length > 0;
+        this.ghostGenerationEl.disabled = !enabled;
+
+        if (replays.length === 0) {
+            this.ghostGenerationValueEl.textContent = 'no replay yet';
+            return;
+        }
+
+        this.ghostGenerationEl.min = replays[0].generation;
+        this.ghostGenerationEl.max = replays[replays.length - 1].generation;
+        if (this.ghostFollowLatest) {
+            this.ghostGenerationEl.value = this.ghostGenerationEl.max;
+        }
+
+        const replay = this.getGhostReplay();
+        this.ghostGenerationValueEl.textContent = replay
+            ? `Gen ${replay.generation} (fitness ${replay.fitness}, ${replay.laps} laps)`
+            : '-';
+    }
+
+    /**
+     * Replay picked with the scrubber, null when the ghost is off
+     */
+    getGhostReplay() {
+        if (!this.ghostEnabledEl || !this.ghostEnabledEl.checked) return null;
+
+        const generation = parseInt(this.ghostGenerationEl.value);
+        return this.getReplays().find(replay => replay.generation === generation) || null;
+    }
+
+    /**
+     * Draw the replayed car at the current frame of the live generation
+     * It stays where it stopped once its replay is over
+     */
+    drawGhost(replay) {
+        const frames = replay.frames;
+        if (frames.length === 0) return;
+
+        const lastIndex = frames.length / 4 - 1;
+        const index = Math.min(Math.max(0, this.getFrame() - 1), lastIndex) * 4;
+        const x = frames[index];
+        const y = frames[index + 1];
+        const angle = frames[index + 2];
+        const width = 16;
+        const height = 8;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = index === lastIndex * 4 ? 0.3 : 0.7;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.strokeStyle = '#fff';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 2]);
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 0);
+        ctx.lineTo(width / 4, -height / 2);
+        ctx.lineTo(-width / 2, -height / 2);
+        ctx.lineTo(-width / 2, height / 2);
+        ctx.lineTo(width / 4, height / 2);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '10px Arial';
+        ctx.fillText(`Gen ${replay.generation}`, x + 10, y - 8);
+        ctx.restore();
+    }
+
+    /**
+     * Redraw the history chart when a generation has finished
+     */
+    drawHistory() {
+        if (!this.historyChart) return;
+
+        const history = this.getHistory();
+        if (history === this.chartedHistory && history.length === this.chartedLength) return;
+
+        this.chartedHistory = history;
+        this.chartedLength = history.length;
+        this.historyChart.draw(history);
+    }
+
+    /**
+     * Draw the network graph of the best alive car (NEAT genomes only)
+     */
+    drawNetwork(car) {
+        if (!this.networkPanel || !this.networkCanvas) return;
+
+        this.networkPanel.style.display = Config.neat.enabled ? 'block' : 'none';
+        if (!Config.neat.enabled) return;
+
+        const ctx = this.networkCanvas.getContext('2d');
+        const width = this.networkCanvas.width;
+        const height = this.networkCanvas.height;
+        ctx.fillStyle = '#0a0a15';
+        ctx.fillRect(0, 0, width, height);
+
+        const brain = car && car.brain ? car.brain : this.ga.allTimeBestBrain;
+        if (!(brain instanceof NeatGenome)) {
+            if (this.networkInfoEl) this.networkInfoEl.textContent = '-';
+            return;
+        }
+
+        brain.draw(ctx, width, height);
+        if (this.networkInfoEl) {
+            const enabled = brain.connections.filter(conn => conn.enabled).length;
+            this.networkInfoEl.textContent = `${brain.hiddenCount} hidden nodes, ${enabled} connections`;
         }
     }
 
@@ -715,12 +2112,28 @@ class Game {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Track (if not in draw mode and track exists)
-        if (!this.isDrawing && this.track) {
-            this.track.draw(this.ctx);
+        const track = this.track ? this.getDisplayedTrack() : null;
+        if (!this.isDrawing && track) {
+            track.draw(this.ctx);
+        }
+
+        // Problems found on a loaded or drawn track
+        if (!this.isDrawing && track === this.track && this.trackIssues.length > 0) {
+            Track.drawIssues(this.ctx, this.trackIssues);
         }
 
+        // Best lap racing line, under the cars (recorded on the current track only)
+        const training = this.ga && !this.isDrawing && !this.race && track === this.track;
+        const bestLap = training && this.showRacingLine ? this.getBestLap() : null;
+        if (bestLap) {
+            this.drawRacingLine(bestLap);
+        }
+
+        const cars = this.getDisplayedCars();
+        const stats = this.ga ? this.getStats() : null;
+
         // Find best alive car
-        const aliveCars = this.cars.filter(car => car.alive);
+        const aliveCars = cars.filter(car => car.alive);
         let bestAliveCar = null;
         if (aliveCars.length > 0) {
             bestAliveCar = aliveCars.reduce((best, car) =>
@@ -728,29 +2141,69 @@ class Game {
         }
 
         // Draw dead cars first
-        const deadCars = this.cars.filter(car => !car.alive);
+        const deadCars = cars.filter(car => !car.alive);
         for (const car of deadCars) {
             car.draw(this.ctx, false);
         }
 
+        // Ghost of a past generation
+        const ghost = training ? this.getGhostReplay() : null;
+        if (ghost) {
+            this.drawGhost(ghost);
+        }
+
         // Then alive ones
         for (const car of aliveCars) {
             const showSensors = this.showSensors && car === bestAliveCar;
             car.draw(this.ctx, showSensors);
         }
 
+        // Human car on top
+        if (this.humanCar && !this.isDrawing) {
+            this.humanCar.draw(this.ctx, this.showSensors);
+            this.ctx.font = 'bold 10px Arial';
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText('You', this.humanCar.x + 10, this.humanCar.y - 8);
+        }
+
+        // Model names in race mode
+        if (this.race) {
+            this.ctx.font = '10px Arial';
+            this.race.cars.forEach((car, i) => {
+                this.ctx.fillStyle = car.alive ? car.color : '#666';
+                this.ctx.fillText(this.race.entries[i].name, car.x + 10, car.y - 8);
+            });
+        }
+
         // Generation indicator at top left of canvas
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
         this.ctx.fillRect(5, 5, 180, 85);
         this.ctx.fillStyle = '#9b59b6';
         this.ctx.font = 'bold 14px Arial';
-        this.ctx.fillText(`Track ${this.currentTrackNumber}`, 12, 22);
+        const curriculumEntry = track && track !== this.track
+            ? this.sim.curriculum.find(entry => entry.track === track)
+            : null;
+        this.ctx.fillText(curriculumEntry ? curriculumEntry.name : `Track ${this.currentTrackNumber}`, 12, 22);
         this.ctx.fillStyle = '#4ecca3';
-        this.ctx.fillText(`Generation: ${this.ga ? this.ga.generation : 0}`, 12, 40);
+        if (this.race) {
+            this.ctx.fillText(`Race: ${(this.race.frame / 60).toFixed(1)}s`, 12, 40);
+        } else {
+            this.ctx.fillText(`Generation: ${stats ? stats.generation : 0}`, 12, 40);
+        }
         this.ctx.fillStyle = '#fff';
         this.ctx.font = '12px Arial';
-        this.ctx.fillText(`Alive: ${aliveCars.length}/${this.cars.length}`, 12, 58);
-        this.ctx.fillText(`Mutation: ${this.ga ? this.ga.getStats(this.cars).mutationRate : 0}%`, 12, 75);
+        this.ctx.fillText(`Alive: ${aliveCars.length}/${cars.length}`, 12, 58);
+        if (this.race) {
+            this.ctx.fillText(`Laps: ${Config.race.laps}${Config.race.flyingLap ? ' + out lap' : ''}`, 12, 75);
+        } else {
+            this.ctx.fillText(`Mutation: ${stats ? this.formatMutation(stats) : '0%'}`, 12, 75);
+        }
+
+        // Control point editor: live preview of the track it builds
+        if (this.trackEditor) {
+            this.trackEditor.draw(this.ctx);
+            return;
+        }
 
         // Track preview in draw mode
         if (this.isDrawing && this.drawnPoints.length > 1) {
@@ -785,38 +2238,201 @@ class Game {
 
     /**
      * Toggle draw mode
+     * Draw Track -> stroke; Finish Drawing -> control point editor; Apply Track -> new track
      */
     toggleDrawMode() {
+        // Stroke finished: edit its control points before building the track
+        if (this.isDrawing && !this.trackEditor && this.drawnPoints.length > 2) {
+            this.trackEditor = TrackEditor.fromPoints(this.drawnPoints);
+            this.updateDrawModeUI();
+            this.draw();
+            return;
+        }
+
         this.isDrawing = !this.isDrawing;
-        this.drawModeIndicator.style.display = this.isDrawing ? 'block' : 'none';
-        this.clearDrawBtn.style.display = this.isDrawing ? 'inline-block' : 'none';
-        this.canvas.classList.toggle('draw-mode', this.isDrawing);
-        this.drawTrackBtn.textContent = this.isDrawing ? 'Finish Drawing' : 'Draw Track';
 
         if (this.isDrawing) {
-            this.running = false;
-            this.startBtn.textContent = 'Start';
-            this.startBtn.style.background = '#4ecca3';
+            this.setRunning(false);
             this.drawnPoints = [];
-        } else {
-            // Generate track from drawn points (smoothed)
-            if (this.drawnPoints.length > 2) {
-                const smoothedPoints = this.smoothPoints(this.drawnPoints);
-                this.track = new Track(smoothedPoints);
-                this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
-                this.ga.reset();
-                this.cars = this.ga.createPopulation(this.track);
-                this.updateUI();
-            }
+        } else if (this.trackEditor) {
+            // Generate track from the spline of the editor (keeps the start of an edited track)
+            this.drawnPoints = this.trackEditor.getCenterLine();
+            this.track = this.trackEditor.createTrack();
+            this.trackEditor = null;
+            this.editorDrag = -1;
+
+            this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+            this.ga.reset();
+            this.cars = this.ga.createPopulation(this.track);
+            this.refreshCurriculum();
+            this.checkTrack();
+            this.updateUI();
         }
+        this.updateDrawModeUI();
+        this.draw();
+    }
+
+    /**
+     * Edit the control points of the current track
+     */
+    editTrack() {
+        if (this.isDrawing || !this.track) return;
+
+        this.setRunning(false);
+        this.isDrawing = true;
+        this.trackEditor = TrackEditor.fromPoints(this.track.centerLine, {
+            x: this.track.startX,
+            y: this.track.startY,
+            angle: this.track.startAngle
+        });
+        this.updateDrawModeUI();
         this.draw();
     }
 
     /**
-     * Clear current drawing
+     * Draw mode buttons and help for the current step (stroke or control points)
+     */
+    updateDrawModeUI() {
+        const editing = this.trackEditor !== null;
+
+        this.drawModeIndicator.style.display = this.isDrawing ? 'block' : 'none';
+        this.drawModeIndicator.textContent = editing
+            ? 'Edit Mode: drag points, click the track to add one, right-click: delete, '
+                + 'wheel or [ ]: width, Ctrl+Z / Ctrl+Y: undo / redo. Click "Apply Track" to validate.'
+            : 'Draw Mode: Drag to draw. Right-click: undo last point. Click "Finish Drawing" to edit the control points.';
+        this.clearDrawBtn.style.display = this.isDrawing ? 'inline-block' : 'none';
+        this.canvas.classList.toggle('draw-mode', this.isDrawing);
+        this.drawTrackBtn.textContent = !this.isDrawing ? 'Draw Track' : editing ? 'Apply Track' : 'Finish Drawing';
+
+        if (this.undoEditBtn) {
+            this.undoEditBtn.style.display = editing ? 'inline-block' : 'none';
+            this.redoEditBtn.style.display = editing ? 'inline-block' : 'none';
+            this.undoEditBtn.disabled = !editing || this.trackEditor.undoStack.length === 0;
+            this.redoEditBtn.disabled = !editing || this.trackEditor.redoStack.length === 0;
+        }
+    }
+
+    /**
+     * Clear current drawing (back to the stroke step)
      */
     clearDrawing() {
         this.drawnPoints = [];
+        this.trackEditor = null;
+        this.editorDrag = -1;
+        this.updateDrawModeUI();
+        this.draw();
+    }
+
+    /**
+     * Position of a mouse event on the canvas
+     */
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Editor click: pick and drag a control point, insert one on the track,
+     * right-click deletes one
+     */
+    handleEditorMouseDown(e) {
+        const editor = this.trackEditor;
+        const { x, y } = this.getCanvasPoint(e);
+        const index = editor.findControl(x, y);
+
+        if (e.button === 2) {
+            e.preventDefault();
+            if (index >= 0) {
+                editor.deleteControl(index);
+            }
+        } else if (e.button === 0) {
+            if (index >= 0) {
+                editor.record();
+                editor.selected = index;
+                this.editorDrag = index;
+            } else {
+                const segment = editor.findSegment(x, y, Config.track.width / 2);
+                if (segment >= 0) {
+                    this.editorDrag = editor.insertControl(segment, x, y);
+                } else {
+                    editor.selected = -1;
+                }
+            }
+        }
+
+        this.updateDrawModeUI();
+        this.draw();
+    }
+
+    /**
+     * Editor wheel: width of the track at the control point under the mouse
+     */
+    handleEditorWheel(e) {
+        const editor = this.trackEditor;
+        const { x, y } = this.getCanvasPoint(e);
+        const index = editor.findControl(x, y);
+        if (index < 0) return;
+
+        e.preventDefault();
+        editor.selected = index;
+        editor.changeWidth(index, e.deltaY < 0 ? TrackEditor.WIDTH_STEP : -TrackEditor.WIDTH_STEP);
+        this.updateDrawModeUI();
+        this.draw();
+    }
+
+    /**
+     * Editor keys: undo / redo, delete the selected point, [ ] for its width
+     * @returns {boolean} true if the key was used
+     */
+    handleEditorKey(e) {
+        const editor = this.trackEditor;
+        const key = e.key.toLowerCase();
+
+        // Typing in a field (generator seed...) is not an edit of the track
+        if (e.target && e.target.tagName === 'INPUT') return false;
+
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+            this.undoEdit(key === 'y' || e.shiftKey);
+            return true;
+        }
+        if (editor.selected < 0) return false;
+
+        switch (e.key) {
+            case 'Delete':
+            case 'Backspace':
+                editor.deleteControl(editor.selected);
+                break;
+            case '[':
+                editor.changeWidth(editor.selected, -TrackEditor.WIDTH_STEP);
+                break;
+            case ']':
+                editor.changeWidth(editor.selected, TrackEditor.WIDTH_STEP);
+                break;
+            default:
+                return false;
+        }
+
+        this.updateDrawModeUI();
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Undo (or redo) the last change of the editor
+     */
+    undoEdit(redo) {
+        if (!this.trackEditor) return;
+
+        this.editorDrag = -1;
+        if (redo) {
+            this.trackEditor.redo();
+        } else {
+            this.trackEditor.undo();
+        }
+        this.updateDrawModeUI();
         this.draw();
     }
 
@@ -957,9 +2573,7 @@ class Game {
         this.setStartBtn.textContent = this.isSettingStart ? 'Cancel Placement' : 'Set Start';
         this.canvas.classList.toggle('set-start-mode', this.isSettingStart);
         if (this.isSettingStart) {
-            this.running = false;
-            this.startBtn.textContent = 'Start';
-            this.startBtn.style.background = '#4ecca3';
+            this.setRunning(false);
         }
     }
 
@@ -1000,6 +2614,45 @@ class Game {
         this.draw();
     }
 
+    /**
+     * Look for geometry problems on the current track and offer the repair
+     * @returns {Array} Problems found (see Track.findIssues)
+     */
+    checkTrack() {
+        this.trackIssues = this.track.findIssues();
+
+        if (this.trackCheckEl) {
+            const found = this.trackIssues.length > 0;
+            this.trackCheckEl.textContent = found ? `Track: ${Track.describeIssues(this.trackIssues)}` : '';
+            this.trackCheckEl.className = `save-status ${found ? 'error' : 'success'}`;
+            this.trackRepairEl.style.display = found ? 'flex' : 'none';
+        }
+        return this.trackIssues;
+    }
+
+    /**
+     * Repair the current track (see Track.repairPoints) and restart training on it
+     */
+    repairTrack() {
+        const points = Track.repairPoints(this.track.centerLine);
+
+        this.drawnPoints = points;
+        this.track = new Track(points, this.track.startX, this.track.startY, this.track.startAngle);
+        this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+        this.ga.reset();
+        this.cars = this.ga.createPopulation(this.track);
+        this.refreshCurriculum();
+
+        if (this.checkTrack().length === 0) {
+            this.trackCheckEl.textContent = 'Track repaired';
+        } else if (this.trackIssues.some(issue => issue.type === 'overlap')) {
+            this.trackCheckEl.textContent += ' (overlapping sections must be redrawn)';
+        }
+
+        this.updateUI();
+        this.draw();
+    }
+
     /**
      * Save custom track to track.json
      */
@@ -1019,15 +2672,7 @@ class Game {
             date: new Date().toISOString()
         };
 
-        const blob = new Blob([JSON.stringify(trackData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'track.json';
-        a.click();
-
-        URL.revokeObjectURL(url);
+        this.downloadFile('track.json', JSON.stringify(trackData, null, 2), 'application/json');
 
         statusEl.textContent = 'Track saved!';
         statusEl.className = 'save-status success';
@@ -1041,32 +2686,37 @@ class Game {
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = (e) => this.withSimulation(() => {
             try {
-                const data = JSON.parse(e.target.result);
-
-                if (!data.points || !Array.isArray(data.points)) {
-                    throw new Error('Invalid format');
+                let data;
+                try {
+                    data = JSON.parse(e.target.result);
+                } catch (err) {
+                    throw new Error('not valid JSON');
                 }
+                Track.checkData(data);
 
                 this.drawnPoints = data.points;
                 this.track = new Track(this.drawnPoints, data.startX, data.startY, data.startAngle);
                 this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
                 this.ga.reset();
                 this.cars = this.ga.createPopulation(this.track);
+                this.refreshCurriculum();
 
-                statusEl.textContent = 'Track loaded!';
-                statusEl.className = 'save-status success';
+                // Loaded anyway: the problems are shown and can be repaired
+                const issues = this.checkTrack();
+                statusEl.textContent = issues.length > 0 ? 'Track loaded with problems' : 'Track loaded!';
+                statusEl.className = `save-status ${issues.length > 0 ? 'error' : 'success'}`;
 
                 this.updateUI();
                 this.draw();
 
             } catch (err) {
-                statusEl.textContent = 'Error: invalid file';
+                statusEl.textContent = `Error: ${file.name}: ${err.message}`;
                 statusEl.className = 'save-status error';
                 console.error(err);
             }
-        };
+        });
         reader.readAsText(file);
 
         event.target.value = '';
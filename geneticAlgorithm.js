@@ -3,6 +3,8 @@
  * - Adaptive mutation
  * - Novelty Search
  * - Fitness Sharing
+ * - NEAT speciation (topology evolution)
+ * - CMA-ES or NES instead of breeding (see optimizers.js)
  */
 class GeneticAlgorithm {
     constructor(populationSize, mutationRate = 0.15) {
@@ -12,6 +14,7 @@ class GeneticAlgorithm {
         this.bestFitness = 0;
         this.bestLaps = 0;
         this.bestLapTime = Infinity;
+        this.bestLap = null; // Splits and racing line of the best lap time
         this.bestBrain = null;
         this.allTimeBestBrain = null;
 
@@ -24,6 +27,26 @@ class GeneticAlgorithm {
 
         // Diversity statistics
         this.diversity = 0;
+
+        // NEAT species
+        this.species = [];
+        this.nextSpeciesId = 1;
+
+        // Statistics of every finished generation
+        this.history = [];
+
+        // Ghost replays of the best car of the latest generations
+        this.replays = [];
+
+        // CMA-ES or NES when Config.genetic.optimizer is not 'genetic'
+        this.optimizer = null;
+    }
+
+    /**
+     * Create a brain from JSON data (fixed network or NEAT genome)
+     */
+    static brainFromJSON(data) {
+        return data.type === 'neat' ? NeatGenome.fromJSON(data) : NeuralNetwork.fromJSON(data);
     }
 
     /**
@@ -39,8 +62,11 @@ class GeneticAlgorithm {
                 car = new Car(track.startX, track.startY, track.startAngle, this.allTimeBestBrain.clone());
                 if (i > 0) {
                     const mutationStrength = this.getCurrentMutationRate() * (0.5 + (i / this.populationSize));
-                    car.brain.mutate(mutationStrength);
+                    this.mutateBrain(car.brain, mutationStrength);
                 }
+            } else if (Config.neat.enabled) {
+                const genome = NeatGenome.createInitial(Config.getInputSize(), Config.getOutputSize());
+                car = new Car(track.startX, track.startY, track.startAngle, genome);
             } else {
                 car = new Car(track.startX, track.startY, track.startAngle);
             }
@@ -68,6 +94,13 @@ class GeneticAlgorithm {
         return Math.min(rate, 0.8); // Cap at 80%
     }
 
+    /**
+     * Score used for selection (fitness, or fitness + novelty)
+     */
+    getScore(car) {
+        return Config.novelty.enabled ? (car.combinedScore || car.fitness) : car.fitness;
+    }
+
     /**
      * Calculate behavioral distance between two cars
      */
@@ -85,7 +118,8 @@ class GeneticAlgorithm {
      * Penalizes individuals that are too similar
      */
     applyFitnessSharing(cars) {
-        if (!Config.sharing.enabled) return;
+        // In NEAT mode, speciation does the sharing
+        if (!Config.sharing.enabled || Config.neat.enabled) return;
 
         const sigma = Config.sharing.sigma;
 
@@ -132,6 +166,95 @@ class GeneticAlgorithm {
         }
     }
 
+    /**
+     * NEAT speciation: group genomes by compatibility distance
+     * Fitness is shared inside each species (replaces applyFitnessSharing)
+     */
+    speciate(cars) {
+        const threshold = Config.neat.compatibilityThreshold;
+
+        for (const species of this.species) {
+            species.members = [];
+        }
+
+        for (const car of cars) {
+            let species = this.species.find(s => car.brain.compatibility(s.representative) < threshold);
+            if (!species) {
+                species = {
+                    id: this.nextSpeciesId++,
+                    representative: car.brain,
+                    members: [],
+                    bestScore: -Infinity,
+                    staleness: 0,
+                    color: `hsl(${Math.floor(Random.next() * 360)}, 70%, 50%)`
+                };
+                this.species.push(species);
+            }
+            species.members.push(car);
+        }
+
+        // Remove extinct species
+        this.species = this.species.filter(s => s.members.length > 0);
+
+        for (const species of this.species) {
+            const size = species.members.length;
+            let best = -Infinity;
+            species.adjustedFitness = 0;
+
+            for (const car of species.members) {
+                const score = this.getScore(car);
+                best = Math.max(best, score);
+
+                // Shared fitness = fitness / species size
+                car.sharedFitness = Math.max(0, score) / size;
+                species.adjustedFitness += car.sharedFitness;
+            }
+
+            // Stagnation of the species
+            if (best > species.bestScore) {
+                species.bestScore = best;
+                species.staleness = 0;
+            } else {
+                species.staleness++;
+            }
+            species.topScore = best;
+
+            // A random member represents the species next generation
+            species.representative = species.members[Math.floor(Random.next() * size)].brain;
+        }
+    }
+
+    /**
+     * Split offspring between species, proportionally to their shared fitness
+     * @returns {number[]} Offspring count per species
+     */
+    allocateOffspring(total) {
+        const bestSpecies = this.species.reduce((best, s) => s.topScore > best.topScore ? s : best, this.species[0]);
+
+        // Stale species get no offspring, except the one holding the best car
+        let weights = this.species.map(s =>
+            s.staleness < Config.neat.staleLimit || s === bestSpecies ? s.adjustedFitness : 0);
+        let sum = weights.reduce((a, b) => a + b, 0);
+        if (sum <= 0) {
+            weights = this.species.map(s => s.staleness < Config.neat.staleLimit || s === bestSpecies ? 1 : 0);
+            sum = weights.reduce((a, b) => a + b, 0);
+        }
+
+        const exact = weights.map(w => w / sum * total);
+        const counts = exact.map(Math.floor);
+
+        // Give the remainder to the largest fractional parts
+        let remaining = total - counts.reduce((a, b) => a + b, 0);
+        const byFraction = exact
+            .map((value, i) => ({ i, fraction: value - counts[i] }))
+            .sort((a, b) => b.fraction - a.fraction);
+        for (let k = 0; remaining > 0; k = (k + 1) % byFraction.length, remaining--) {
+            counts[byFraction[k].i]++;
+        }
+
+        return counts;
+    }
+
     /**
      * Calculate population diversity
      */
@@ -160,12 +283,15 @@ class GeneticAlgorithm {
         this.applyFitnessSharing(cars);
         this.applyNoveltyScores(cars);
         this.calculateDiversity(cars);
+        if (Config.neat.enabled) {
+            this.speciate(cars);
+        }
 
         // Determine sorting metric
         let sortKey;
         if (Config.novelty.enabled) {
             sortKey = (car) => car.combinedScore || car.fitness;
-        } else if (Config.sharing.enabled) {
+        } else if (Config.sharing.enabled && !Config.neat.enabled) {
             sortKey = (car) => car.sharedFitness || car.fitness;
         } else {
             sortKey = (car) => car.fitness;
@@ -197,6 +323,7 @@ class GeneticAlgorithm {
 
         if (best.bestLapTime < this.bestLapTime) {
             this.bestLapTime = best.bestLapTime;
+            this.bestLap = best.bestLap;
         }
 
         // Save all-time best brain
@@ -204,73 +331,253 @@ class GeneticAlgorithm {
             this.allTimeBestBrain = best.brain.clone();
         }
 
-        // Return best (top 25%)
-        const eliteCount = Math.max(4, Math.floor(this.populationSize * 0.25));
+        this.recordHistory(cars);
+        this.recordReplay(best);
+
+        // Return the survivors (best fraction, at least four parents)
+        const eliteCount = Math.max(4, Math.floor(this.populationSize * Config.genetic.survivorRate));
         return sorted.slice(0, eliteCount);
     }
 
+    /**
+     * Add the statistics of the finished generation to the history
+     */
+    recordHistory(cars) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const fitnesses = cars.map(car => car.fitness).sort((a, b) => a - b);
+        const middle = Math.floor(fitnesses.length / 2);
+        const median = fitnesses.length % 2 === 1
+            ? fitnesses[middle]
+            : (fitnesses[middle - 1] + fitnesses[middle]) / 2;
+        const bestLapTime = Math.min(...cars.map(car => car.bestLapTime));
+
+        this.history.push({
+            generation: this.generation,
+            bestFitness: round(fitnesses[fitnesses.length - 1]),
+            meanFitness: round(fitnesses.reduce((a, b) => a + b, 0) / fitnesses.length),
+            medianFitness: round(median),
+            bestCheckpoints: Math.max(...cars.map(car => car.checkpointsPassed)),
+            meanCheckpoints: round(cars.reduce((sum, car) => sum + car.checkpointsPassed, 0) / cars.length),
+            laps: Math.max(...cars.map(car => car.laps)),
+            bestLapTime: bestLapTime < Infinity ? round(bestLapTime / 60) : null, // seconds
+            mutationRate: round(this.getCurrentMutationRate() * 100), // %
+            diversity: round(this.diversity),
+            species: this.species.length
+        });
+    }
+
+    /**
+     * Keep the drive of the best car of the finished generation
+     * Values are rounded (0.1px, 0.001rad, 0.01 speed) to keep sessions small
+     */
+    recordReplay(car) {
+        if (!car.replay) return; // Restored from a session or the worker half way through the generation
+
+        const scales = [10, 10, 1000, 100];
+        this.replays.push({
+            generation: this.generation,
+            fitness: Math.round(car.fitness),
+            laps: car.laps,
+            frames: car.replay.map((value, i) => Math.round(value * scales[i % 4]) / scales[i % 4])
+        });
+
+        if (this.replays.length > GeneticAlgorithm.MAX_REPLAYS) {
+            this.replays.shift();
+        }
+    }
+
     /**
      * Create new generation from best individuals
      */
     evolve(cars, track) {
+        if (Config.neat.enabled) {
+            return this.evolveNeat(cars, track);
+        }
+
         const elite = this.selection(cars);
-        const newCars = [];
-        const elitismCount = Config.genetic.elitism;
 
-        // Elitism: keep best without modification
-        for (let i = 0; i < elitismCount && i < elite.length; i++) {
-            const car = new Car(track.startX, track.startY, track.startAngle, elite[i].brain.clone());
-            car.isBest = (i === 0);
-            car.color = i === 0 ? '#FFD700' : i === 1 ? '#C0C0C0' : '#CD7F32';
-            newCars.push(car);
+        // Other optimizers breed the whole population (records are still kept by selection)
+        const optimizer = this.getOptimizer();
+        if (optimizer) {
+            const newCars = optimizer.evolve(cars, track);
+            this.generation++;
+            return newCars;
         }
 
+        const newCars = this.keepElites(elite, track);
+
         // Fill rest of population
         const mutationRate = this.getCurrentMutationRate();
+        const selectParent = this.createParentSampler(elite, 2 * (this.populationSize - newCars.length));
 
         while (newCars.length < this.populationSize) {
-            const parent1 = this.tournamentSelect(elite);
-            const parent2 = this.tournamentSelect(elite);
+            const parent1 = selectParent();
+            const parent2 = selectParent();
 
             let childBrain;
-            if (Math.random() < Config.genetic.crossoverRate) {
+            if (Random.next() < Config.genetic.crossoverRate) {
                 childBrain = NeuralNetwork.crossover(parent1.brain, parent2.brain);
             } else {
                 childBrain = parent1.brain.clone();
             }
 
             // Mutation
-            childBrain.mutate(mutationRate);
+            this.mutateChild(childBrain, mutationRate);
+
+            const car = new Car(track.startX, track.startY, track.startAngle, childBrain);
+            newCars.push(car);
+        }
+
+        this.generation++;
+        return newCars;
+    }
+
+    /**
+     * Optimizer chosen in Config.genetic.optimizer, created when the choice changes
+     * @returns {Object|null} null for the genetic algorithm
+     */
+    getOptimizer() {
+        const type = Config.genetic.optimizer;
+        if (!this.optimizer || this.optimizer.getState().type !== type) {
+            this.optimizer = createOptimizer(type, (car) => this.getScore(car));
+        }
+        return this.optimizer;
+    }
+
+    /**
+     * NEAT generation: offspring are bred inside each species
+     */
+    evolveNeat(cars, track) {
+        const elite = this.selection(cars);
+        const newCars = this.keepElites(elite, track);
 
-            // Occasional hypermutation if strong stagnation
-            if (this.stagnationCounter > Config.adaptive.stagnationThreshold * 2) {
-                if (Math.random() < 0.1) {
-                    // 10% chance of hypermutation
-                    childBrain.mutate(0.5);
+        const mutationRate = this.getCurrentMutationRate();
+        const counts = this.allocateOffspring(this.populationSize - newCars.length);
+
+        this.species.forEach((species, s) => {
+            // Only the best half of the species reproduces
+            const members = [...species.members].sort((a, b) => this.getScore(b) - this.getScore(a));
+            const survivors = members.slice(0, Math.max(1, Math.ceil(members.length * 0.5)));
+
+            const selectParent = this.createParentSampler(survivors, 2 * counts[s]);
+            for (let i = 0; i < counts[s]; i++) {
+                const parent1 = selectParent();
+                const parent2 = selectParent();
+
+                let childBrain;
+                if (parent1 !== parent2 && Random.next() < Config.genetic.crossoverRate) {
+                    // Fitter parent first: its disjoint and excess genes are kept
+                    childBrain = this.getScore(parent1) >= this.getScore(parent2)
+                        ? NeatGenome.crossover(parent1.brain, parent2.brain)
+                        : NeatGenome.crossover(parent2.brain, parent1.brain);
+                } else {
+                    childBrain = parent1.brain.clone();
                 }
+
+                this.mutateChild(childBrain, mutationRate);
+
+                const car = new Car(track.startX, track.startY, track.startAngle, childBrain);
+                car.color = species.color;
+                newCars.push(car);
             }
+        });
 
-            const car = new Car(track.startX, track.startY, track.startAngle, childBrain);
+        this.generation++;
+        return newCars;
+    }
+
+    /**
+     * Elitism: keep best without modification
+     */
+    keepElites(elite, track) {
+        const newCars = [];
+        const elitismCount = Config.genetic.elitism;
+
+        for (let i = 0; i < elitismCount && i < elite.length; i++) {
+            const car = new Car(track.startX, track.startY, track.startAngle, elite[i].brain.clone());
+            car.isBest = (i === 0);
+            car.color = i === 0 ? '#FFD700' : i === 1 ? '#C0C0C0' : '#CD7F32';
             newCars.push(car);
         }
 
-        this.generation++;
         return newCars;
     }
 
+    /**
+     * Mutate a child brain, with occasional hypermutation if strong stagnation
+     */
+    mutateChild(childBrain, mutationRate) {
+        this.mutateBrain(childBrain, mutationRate);
+
+        if (this.stagnationCounter > Config.adaptive.stagnationThreshold * 2) {
+            if (Random.next() < 0.1) {
+                // 10% chance of hypermutation
+                this.mutateBrain(childBrain, 0.5);
+            }
+        }
+    }
+
+    /**
+     * Mutate a brain with the Config.genetic mutation operator
+     */
+    mutateBrain(brain, rate) {
+        brain.mutate(rate, Config.genetic.mutationType, Config.genetic.mutationSigma);
+    }
+
+    /**
+     * Size of the weight changes: noise amplitude (uniform), sigma (gaussian),
+     * mean sigma of the population (self-adaptive), null for weight resets
+     */
+    getMutationStrength(cars) {
+        switch (Config.genetic.mutationType) {
+            case 'gaussian':
+                return Config.genetic.mutationSigma;
+            case 'reset':
+                return null;
+            case 'selfAdaptive': {
+                const sigmas = cars.map(car => car.brain.mutationSigma).filter(sigma => sigma !== null);
+                return sigmas.length > 0
+                    ? sigmas.reduce((a, b) => a + b, 0) / sigmas.length
+                    : Config.genetic.mutationSigma;
+            }
+            default:
+                return 0.5;
+        }
+    }
+
+    /**
+     * Parent picker for the Config.genetic.selection strategy
+     * @param {Array} pool - Cars allowed to reproduce
+     * @param {number} count - Parents that will be drawn (a single SUS spin picks them all)
+     * @returns {Function} () => parent car
+     */
+    createParentSampler(pool, count) {
+        switch (Config.genetic.selection) {
+            case 'roulette':
+                return () => this.rouletteSelect(pool);
+            case 'rank':
+                return () => this.rankSelect(pool);
+            case 'sus': {
+                const parents = this.stochasticUniversalSample(pool, count);
+                let next = 0;
+                return () => parents[next++ % parents.length];
+            }
+            default:
+                return () => this.tournamentSelect(pool);
+        }
+    }
+
     /**
      * Tournament selection
      */
     tournamentSelect(elite) {
-        const tournamentSize = Math.min(4, elite.length);
-        let best = elite[Math.floor(Math.random() * elite.length)];
+        const tournamentSize = Math.min(Config.genetic.tournamentSize, elite.length);
+        let best = elite[Math.floor(Random.next() * elite.length)];
 
         for (let i = 1; i < tournamentSize; i++) {
-            const competitor = elite[Math.floor(Math.random() * elite.length)];
-            const bestScore = Config.novelty.enabled ? (best.combinedScore || best.fitness) : best.fitness;
-            const competitorScore = Config.novelty.enabled ? (competitor.combinedScore || competitor.fitness) : competitor.fitness;
+            const competitor = elite[Math.floor(Random.next() * elite.length)];
 
-            if (competitorScore > bestScore) {
+            if (this.getScore(competitor) > this.getScore(best)) {
                 best = competitor;
             }
         }
@@ -278,6 +585,80 @@ class GeneticAlgorithm {
         return best;
     }
 
+    /**
+     * Roulette wheel: chance proportional to the score
+     */
+    rouletteSelect(pool) {
+        const weights = this.fitnessWeights(pool);
+        const total = weights.reduce((a, b) => a + b, 0);
+        return GeneticAlgorithm.pickWeighted(pool, weights, Random.next() * total);
+    }
+
+    /**
+     * Linear ranking: the best of n cars has weight n, the worst 1
+     * (the pressure does not depend on how far apart the scores are)
+     */
+    rankSelect(pool) {
+        const ranked = [...pool].sort((a, b) => this.getScore(b) - this.getScore(a));
+        const n = ranked.length;
+        const weights = ranked.map((car, i) => n - i);
+        return GeneticAlgorithm.pickWeighted(ranked, weights, Random.next() * n * (n + 1) / 2);
+    }
+
+    /**
+     * Stochastic universal sampling: one spin of the roulette wheel with
+     * count evenly spaced pointers (same expected picks, less sampling noise)
+     * @returns {Array} Parents, shuffled so that pairs are not wheel neighbours
+     */
+    stochasticUniversalSample(pool, count) {
+        const weights = this.fitnessWeights(pool);
+        const total = weights.reduce((a, b) => a + b, 0);
+        const step = total / count;
+        const start = Random.next() * step;
+
+        const parents = [];
+        let index = 0;
+        let cumulative = weights[0];
+        for (let k = 0; k < count; k++) {
+            const pointer = start + k * step;
+            while (pointer >= cumulative && index < pool.length - 1) {
+                index++;
+                cumulative += weights[index];
+            }
+            parents.push(pool[index]);
+        }
+
+        for (let i = parents.length - 1; i > 0; i--) {
+            const j = Math.floor(Random.next() * (i + 1));
+            [parents[i], parents[j]] = [parents[j], parents[i]];
+        }
+        return parents;
+    }
+
+    /**
+     * Roulette weights: scores shifted above the worst one, which keeps a small chance
+     * Equal scores give a uniform choice
+     */
+    fitnessWeights(pool) {
+        const scores = pool.map(car => this.getScore(car));
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min;
+        if (range === 0) return scores.map(() => 1);
+
+        return scores.map(score => score - min + range * 0.01);
+    }
+
+    /**
+     * Item where a pointer in [0, sum of weights) falls on the wheel
+     */
+    static pickWeighted(items, weights, pointer) {
+        for (let i = 0; i < items.length; i++) {
+            pointer -= weights[i];
+            if (pointer < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
     /**
      * Check if all cars are dead
      */
@@ -307,23 +688,111 @@ class GeneticAlgorithm {
             bestAliveCar: bestAliveCar,
             stagnation: this.stagnationCounter,
             diversity: Math.round(this.diversity),
-            mutationRate: Math.round(this.getCurrentMutationRate() * 100)
+            mutationRate: Math.round(this.getCurrentMutationRate() * 100),
+            mutationStrength: this.getMutationStrength(cars),
+            seed: Random.seed,
+            species: this.species.length
+        };
+    }
+
+    /**
+     * Export the algorithm state (brains as JSON), with the NEAT innovations
+     */
+    getState() {
+        return {
+            populationSize: this.populationSize,
+            mutationRate: this.mutationRate,
+            generation: this.generation,
+            bestFitness: this.bestFitness,
+            bestLaps: this.bestLaps,
+            bestLapTime: this.bestLapTime,
+            bestLap: this.bestLap,
+            bestBrain: this.bestBrain ? this.bestBrain.toJSON() : null,
+            allTimeBestBrain: this.allTimeBestBrain ? this.allTimeBestBrain.toJSON() : null,
+            stagnationCounter: this.stagnationCounter,
+            lastBestFitness: this.lastBestFitness,
+            diversity: this.diversity,
+            noveltyArchive: this.noveltyArchive.behaviors,
+            species: this.species.map(s => ({
+                id: s.id,
+                representative: s.representative.toJSON(),
+                bestScore: s.bestScore,
+                staleness: s.staleness,
+                color: s.color,
+                adjustedFitness: s.adjustedFitness,
+                topScore: s.topScore
+            })),
+            nextSpeciesId: this.nextSpeciesId,
+            history: this.history,
+            replays: this.replays,
+            optimizer: this.optimizer ? this.optimizer.getState() : null,
+            innovation: Innovation.getState()
         };
     }
 
     /**
-     * Reset algorithm
+     * Restore the algorithm from getState() data
+     * Species members are not kept: they are rebuilt by the next speciation
+     */
+    setState(state) {
+        Innovation.setState(state.innovation);
+
+        this.populationSize = state.populationSize;
+        this.mutationRate = state.mutationRate;
+        this.generation = state.generation;
+        this.bestFitness = state.bestFitness;
+        this.bestLaps = state.bestLaps;
+        this.bestLapTime = state.bestLapTime;
+        this.bestLap = state.bestLap || null;
+        this.bestBrain = state.bestBrain ? GeneticAlgorithm.brainFromJSON(state.bestBrain) : null;
+        this.allTimeBestBrain = state.allTimeBestBrain ? GeneticAlgorithm.brainFromJSON(state.allTimeBestBrain) : null;
+        this.stagnationCounter = state.stagnationCounter;
+        this.lastBestFitness = state.lastBestFitness;
+        this.diversity = state.diversity;
+        this.noveltyArchive.behaviors = [...state.noveltyArchive];
+        this.species = state.species.map(s => ({
+            ...s,
+            representative: GeneticAlgorithm.brainFromJSON(s.representative),
+            members: []
+        }));
+        this.nextSpeciesId = state.nextSpeciesId;
+        this.history = [...state.history];
+        this.replays = [...(state.replays || [])];
+
+        this.optimizer = state.optimizer ? createOptimizer(state.optimizer.type, (car) => this.getScore(car)) : null;
+        if (this.optimizer) {
+            this.optimizer.setState(state.optimizer);
+        }
+    }
+
+    /**
+     * Reset algorithm (restarts the random sequence from Config.genetic.seed)
      */
     reset() {
+        Random.setSeed(Config.genetic.seed ?? Random.randomSeed());
         this.generation = 1;
         this.bestFitness = 0;
         this.bestLaps = 0;
         this.bestLapTime = Infinity;
+        this.bestLap = null;
         this.bestBrain = null;
         this.allTimeBestBrain = null;
         this.stagnationCounter = 0;
         this.lastBestFitness = 0;
         this.diversity = 0;
         this.noveltyArchive.reset();
+        this.species = [];
+        this.nextSpeciesId = 1;
+        this.history = [];
+        this.replays = [];
+        this.optimizer = null;
+        Innovation.reset();
     }
 }
+
+// Ghost replays kept (oldest generations are dropped)
+GeneticAlgorithm.MAX_REPLAYS = 100;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GeneticAlgorithm };
+}
@@ -0,0 +1,75 @@
+/**
+ * Car driven with the arrow keys instead of a neural network
+ * Same physics, sensors and lap timing as the AI cars (see Car.update)
+ */
+class HumanCar extends Car {
+    constructor(x, y, angle) {
+        // The player must not change the random sequence of the training run
+        const randomState = Random.getState();
+        super(x, y, angle);
+        Random.setState(randomState);
+
+        this.brain = null; // Driven by the keyboard
+        this.color = '#ffffff';
+        this.standingStart = true; // No initial impulse: the car only moves when the player drives
+
+        // Arrow keys currently pressed
+        this.keys = { up: false, down: false, left: false, right: false };
+
+        // Imitation learning: completed laps are added to this array, when set
+        this.recording = null;
+        this.lapFrames = []; // Frames of the lap in progress
+    }
+
+    /**
+     * Throttle and steering from the pressed keys
+     * While recording, the inputs a network would get are kept with them
+     */
+    drive(inputs) {
+        const throttle = (this.keys.up ? 1 : 0) - (this.keys.down ? 1 : 0);
+        const steering = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
+
+        if (this.recording) {
+            this.lapFrames.push({ inputs: [...inputs], throttle, steering });
+        }
+        return { throttle, steering };
+    }
+
+    /**
+     * Update the car, recording only completed laps (crashes are not worth imitating)
+     * The player may stand still (waiting at the start line): only a crash or the finish ends the car
+     */
+    update(walls, checkpoints, wallGrid = null) {
+        const laps = this.laps;
+        this.stuckCounter = 0;
+        super.update(walls, checkpoints, wallGrid);
+
+        if (this.laps > laps) {
+            if (this.recording) {
+                this.recording.push(this.lapFrames);
+            }
+            this.lapFrames = [];
+        }
+    }
+
+    /**
+     * Update a key from a keyboard event
+     * @returns {boolean} true if the key is a driving key
+     */
+    setKey(key, pressed) {
+        const keys = {
+            ArrowUp: 'up',
+            ArrowDown: 'down',
+            ArrowLeft: 'left',
+            ArrowRight: 'right'
+        };
+        if (!keys[key]) return false;
+
+        this.keys[keys[key]] = pressed;
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HumanCar };
+}
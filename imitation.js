@@ -0,0 +1,62 @@
+/**
+ * Imitation learning: train a network on recorded human laps
+ * (inputs seen by the car -> controls chosen by the driver, see HumanCar)
+ */
+const Imitation = {
+    EPOCHS: 300,
+    LEARNING_RATE: 0.1,
+
+    /**
+     * Network outputs that Car.getControls turns into these controls
+     * Discrete outputs: accelerate, brake, left, right; continuous: throttle, steering
+     */
+    targets(throttle, steering, network) {
+        if (network.outputSize === 2) {
+            const activation = network.activations[network.activations.length - 1];
+            return activation === 'sigmoid'
+                ? [(throttle + 1) / 2, (steering + 1) / 2]
+                : [throttle, steering];
+        }
+
+        return [
+            Math.max(0, throttle),
+            Math.max(0, -throttle),
+            Math.max(0, -steering),
+            Math.max(0, steering)
+        ];
+    },
+
+    /**
+     * Train a new network with the current Config layers on recorded laps
+     * @param {Array} laps - Laps of { inputs, throttle, steering } frames
+     * @returns {Object} { network, frames, loss }
+     */
+    train(laps) {
+        if (Config.neat.enabled) {
+            throw new Error('Imitation learning needs a layered network: disable NEAT');
+        }
+
+        const frames = laps.flat();
+        if (frames.length === 0) {
+            throw new Error('Record at least one lap first');
+        }
+
+        const inputSize = Config.getInputSize();
+        if (frames.some(frame => frame.inputs.length !== inputSize)) {
+            throw new Error(`Laps were recorded with other sensors: the network needs ${inputSize} inputs`);
+        }
+
+        const network = new NeuralNetwork(Config.getLayerSizes(), Config.getActivations());
+        const samples = frames.map(frame => ({
+            inputs: frame.inputs,
+            targets: this.targets(frame.throttle, frame.steering, network)
+        }));
+
+        const losses = network.train(samples, { epochs: this.EPOCHS, learningRate: this.LEARNING_RATE });
+        return { network, frames: frames.length, loss: losses[losses.length - 1] };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Imitation };
+}
@@ -0,0 +1,499 @@
+/**
+ * NEAT (NeuroEvolution of Augmenting Topologies)
+ * Genomes start with inputs connected to outputs and grow hidden nodes
+ * and connections through mutation. Drop-in replacement for NeuralNetwork:
+ * same predict/mutate/clone/toJSON contract.
+ */
+
+/**
+ * Innovation numbers shared by all genomes of a run
+ * The same structural mutation always gets the same number, so crossover
+ * can line up matching genes
+ */
+const Innovation = {
+    nextInnovation: 0,
+    nextNodeId: 0,
+    connections: new Map(),  // "in->out" -> innovation number
+    splits: new Map(),       // innovation of split connection -> new node id
+
+    /**
+     * Forget all innovations (new run)
+     */
+    reset() {
+        this.nextInnovation = 0;
+        this.nextNodeId = 0;
+        this.connections.clear();
+        this.splits.clear();
+    },
+
+    /**
+     * Innovation number of a connection between two nodes
+     */
+    getConnection(inNode, outNode) {
+        const key = `${inNode}->${outNode}`;
+        if (!this.connections.has(key)) {
+            this.connections.set(key, this.nextInnovation++);
+        }
+        return this.connections.get(key);
+    },
+
+    /**
+     * Id of the node created by splitting a connection
+     */
+    getSplitNode(innovation) {
+        if (!this.splits.has(innovation)) {
+            this.splits.set(innovation, this.nextNodeId++);
+        }
+        return this.splits.get(innovation);
+    },
+
+    /**
+     * Reserve a node id never used before
+     */
+    newNodeId() {
+        return this.nextNodeId++;
+    },
+
+    /**
+     * Plain copy of the tracker (Maps as entry lists)
+     */
+    getState() {
+        return {
+            nextInnovation: this.nextInnovation,
+            nextNodeId: this.nextNodeId,
+            connections: [...this.connections],
+            splits: [...this.splits]
+        };
+    },
+
+    /**
+     * Restore the tracker from getState() data
+     */
+    setState(state) {
+        this.nextInnovation = state.nextInnovation;
+        this.nextNodeId = state.nextNodeId;
+        this.connections = new Map(state.connections);
+        this.splits = new Map(state.splits);
+    },
+
+    /**
+     * Make sure ids and innovations of a genome are known (loaded genomes)
+     */
+    register(genome) {
+        for (const node of genome.nodes) {
+            this.nextNodeId = Math.max(this.nextNodeId, node.id + 1);
+        }
+        for (const conn of genome.connections) {
+            const key = `${conn.in}->${conn.out}`;
+            if (!this.connections.has(key)) {
+                this.connections.set(key, conn.innovation);
+            }
+            this.nextInnovation = Math.max(this.nextInnovation, conn.innovation + 1);
+        }
+    }
+};
+
+/**
+ * Genome: list of nodes and connection genes
+ * Node ids: inputs 0..n-1, bias n, outputs n+1..n+m, then hidden nodes
+ */
+class NeatGenome {
+    constructor(inputSize, outputSize) {
+        this.inputSize = inputSize;
+        this.outputSize = outputSize;
+
+        // Nodes: { id, type: 'input' | 'bias' | 'output' | 'hidden' }
+        this.nodes = [];
+        // Connection genes: { in, out, weight, enabled, innovation }
+        this.connections = [];
+
+        // Evaluation order (rebuilt after structural changes)
+        this.order = null;
+
+        // Own mutation step size (self-adaptive mutation only)
+        this.mutationSigma = null;
+    }
+
+    /**
+     * Create a minimal genome: every input (and bias) connected to every output
+     */
+    static createInitial(inputSize, outputSize) {
+        const genome = new NeatGenome(inputSize, outputSize);
+
+        for (let i = 0; i < inputSize; i++) {
+            genome.nodes.push({ id: i, type: 'input' });
+        }
+        genome.nodes.push({ id: inputSize, type: 'bias' });
+        for (let i = 0; i < outputSize; i++) {
+            genome.nodes.push({ id: inputSize + 1 + i, type: 'output' });
+        }
+        Innovation.nextNodeId = Math.max(Innovation.nextNodeId, inputSize + outputSize + 1);
+
+        for (let i = 0; i <= inputSize; i++) {
+            for (let o = 0; o < outputSize; o++) {
+                genome.addConnection(i, inputSize + 1 + o, Random.next() * 2 - 1);
+            }
+        }
+
+        return genome;
+    }
+
+    /**
+     * Number of hidden nodes
+     */
+    get hiddenCount() {
+        return this.nodes.filter(node => node.type === 'hidden').length;
+    }
+
+    /**
+     * Add a connection gene
+     */
+    addConnection(inNode, outNode, weight, enabled = true) {
+        this.connections.push({
+            in: inNode,
+            out: outNode,
+            weight: weight,
+            enabled: enabled,
+            innovation: Innovation.getConnection(inNode, outNode)
+        });
+        this.order = null;
+    }
+
+    /**
+     * Activation of hidden and output nodes (0 to 1, like NeuralNetwork)
+     */
+    activate(x) {
+        return 1 / (1 + Math.exp(-x));
+    }
+
+    /**
+     * Compute node evaluation order (topological sort of enabled connections)
+     */
+    computeOrder() {
+        const incoming = new Map(this.nodes.map(node => [node.id, []]));
+        const outgoing = new Map(this.nodes.map(node => [node.id, []]));
+        const pending = new Map(this.nodes.map(node => [node.id, 0]));
+
+        for (const conn of this.connections) {
+            if (!conn.enabled) continue;
+            incoming.get(conn.out).push(conn);
+            outgoing.get(conn.in).push(conn.out);
+            pending.set(conn.out, pending.get(conn.out) + 1);
+        }
+
+        const ready = this.nodes.filter(node => pending.get(node.id) === 0).map(node => node.id);
+        const order = [];
+        while (ready.length > 0) {
+            const id = ready.shift();
+            order.push(id);
+            for (const next of outgoing.get(id)) {
+                pending.set(next, pending.get(next) - 1);
+                if (pending.get(next) === 0) ready.push(next);
+            }
+        }
+
+        const types = new Map(this.nodes.map(node => [node.id, node.type]));
+        this.order = { nodes: order, incoming: incoming, types: types };
+    }
+
+    /**
+     * Forward propagation: compute outputs from inputs
+     */
+    predict(inputs) {
+        if (!this.order) this.computeOrder();
+
+        const values = new Map();
+
+        for (const id of this.order.nodes) {
+            const type = this.order.types.get(id);
+            if (type === 'input') {
+                values.set(id, inputs[id]);
+            } else if (type === 'bias') {
+                values.set(id, 1);
+            } else {
+                let sum = 0;
+                for (const conn of this.order.incoming.get(id)) {
+                    sum += values.get(conn.in) * conn.weight;
+                }
+                values.set(id, this.activate(sum));
+            }
+        }
+
+        const outputs = [];
+        for (let i = 0; i < this.outputSize; i++) {
+            outputs[i] = values.get(this.inputSize + 1 + i);
+        }
+        return outputs;
+    }
+
+    /**
+     * Create a copy of the genome
+     */
+    clone() {
+        const clone = new NeatGenome(this.inputSize, this.outputSize);
+        clone.nodes = this.nodes.map(node => ({ ...node }));
+        clone.connections = this.connections.map(conn => ({ ...conn }));
+        clone.mutationSigma = this.mutationSigma;
+        return clone;
+    }
+
+    /**
+     * Check if a path exists from one node to another (to avoid cycles)
+     */
+    hasPath(from, to) {
+        const stack = [from];
+        const visited = new Set();
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === to) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            for (const conn of this.connections) {
+                if (conn.in === id) stack.push(conn.out);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Structural mutation: connect two unconnected nodes
+     */
+    mutateAddConnection() {
+        const sources = this.nodes.filter(node => node.type !== 'output');
+        const targets = this.nodes.filter(node => node.type === 'hidden' || node.type === 'output');
+
+        // A few random attempts, like the original NEAT
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const from = sources[Math.floor(Random.next() * sources.length)].id;
+            const to = targets[Math.floor(Random.next() * targets.length)].id;
+
+            if (from === to) continue;
+            if (this.connections.some(conn => conn.in === from && conn.out === to)) continue;
+            // Feed-forward only: no path back from target to source
+            if (this.hasPath(to, from)) continue;
+
+            this.addConnection(from, to, Random.next() * 2 - 1);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Structural mutation: split a connection with a new hidden node
+     */
+    mutateAddNode() {
+        const enabled = this.connections.filter(conn => conn.enabled);
+        if (enabled.length === 0) return false;
+
+        const conn = enabled[Math.floor(Random.next() * enabled.length)];
+        let nodeId = Innovation.getSplitNode(conn.innovation);
+        if (this.nodes.some(node => node.id === nodeId)) {
+            // Same connection already split in this genome (re-enabled by crossover)
+            nodeId = Innovation.newNodeId();
+        }
+
+        conn.enabled = false;
+        this.nodes.push({ id: nodeId, type: 'hidden' });
+
+        // in -> new (weight 1) and new -> out (old weight) keep behavior close
+        this.addConnection(conn.in, nodeId, 1);
+        this.addConnection(nodeId, conn.out, conn.weight);
+        return true;
+    }
+
+    /**
+     * Apply random mutation to weights and, sometimes, to the structure
+     * @param {number} rate - Weight mutation probability (0 to 1)
+     * @param {string} operator - Weight operator, as in NeuralNetwork.mutate
+     * @param {number} sigma - Gaussian step size (initial step size when self-adaptive)
+     */
+    mutate(rate, operator = 'uniform', sigma = NeuralNetwork.DEFAULT_SIGMA) {
+        let mutation = NeuralNetwork.MUTATIONS[operator];
+        let step = sigma;
+        if (operator === 'selfAdaptive') {
+            step = NeuralNetwork.adaptSigma(this, this.connections.length, sigma);
+            mutation = NeuralNetwork.MUTATIONS.gaussian;
+        }
+
+        for (const conn of this.connections) {
+            if (Random.next() < rate) {
+                if (operator !== 'uniform') {
+                    conn.weight = mutation(conn.weight, step);
+                } else if (Random.next() < 0.1) {
+                    // Occasionally replace the weight completely
+                    conn.weight = Random.next() * 2 - 1;
+                } else {
+                    conn.weight += (Random.next() * 2 - 1) * 0.5;
+                }
+            }
+        }
+
+        if (Random.next() < Config.neat.addConnectionRate) {
+            this.mutateAddConnection();
+        }
+        if (Random.next() < Config.neat.addNodeRate) {
+            this.mutateAddNode();
+        }
+    }
+
+    /**
+     * Crossover: matching genes (same innovation) are picked at random,
+     * disjoint and excess genes come from the fitter parent
+     * @param {NeatGenome} fitter - Parent with the best fitness
+     * @param {NeatGenome} other - Other parent
+     */
+    static crossover(fitter, other) {
+        const child = new NeatGenome(fitter.inputSize, fitter.outputSize);
+        child.nodes = fitter.nodes.map(node => ({ ...node }));
+
+        const otherGenes = new Map(other.connections.map(conn => [conn.innovation, conn]));
+
+        for (const gene of fitter.connections) {
+            const match = otherGenes.get(gene.innovation);
+            const source = match && Random.next() < 0.5 ? match : gene;
+            const conn = { ...source };
+
+            // Disabled in either parent: 75% chance to stay disabled
+            if (match && (!gene.enabled || !match.enabled)) {
+                conn.enabled = Random.next() >= 0.75;
+            }
+            child.connections.push(conn);
+        }
+
+        child.mutationSigma = NeuralNetwork.inheritSigma(fitter, other);
+        return child;
+    }
+
+    /**
+     * Compatibility distance used for speciation
+     * delta = c1 * E + c2 * D + c3 * average weight difference
+     * (no division by genome size, like the reference NEAT implementation:
+     * our genomes are small and it would hide structural differences)
+     */
+    compatibility(other) {
+        const { excessCoeff, disjointCoeff, weightCoeff } = Config.neat;
+
+        const genes1 = new Map(this.connections.map(conn => [conn.innovation, conn]));
+        const genes2 = new Map(other.connections.map(conn => [conn.innovation, conn]));
+        const max1 = Math.max(-1, ...genes1.keys());
+        const max2 = Math.max(-1, ...genes2.keys());
+
+        let excess = 0;
+        let disjoint = 0;
+        let matching = 0;
+        let weightDiff = 0;
+
+        const all = new Set([...genes1.keys(), ...genes2.keys()]);
+        for (const innovation of all) {
+            const g1 = genes1.get(innovation);
+            const g2 = genes2.get(innovation);
+            if (g1 && g2) {
+                matching++;
+                weightDiff += Math.abs(g1.weight - g2.weight);
+            } else if (innovation > Math.min(max1, max2)) {
+                excess++;
+            } else {
+                disjoint++;
+            }
+        }
+
+        const avgWeightDiff = matching > 0 ? weightDiff / matching : 0;
+
+        return excessCoeff * excess + disjointCoeff * disjoint + weightCoeff * avgWeightDiff;
+    }
+
+    /**
+     * Draw the network graph in a rectangle
+     */
+    draw(ctx, width, height) {
+        const margin = 14;
+
+        // Depth of each node: longest path from inputs
+        if (!this.order) this.computeOrder();
+        const depth = new Map(this.nodes.map(node => [node.id, 0]));
+        for (const id of this.order.nodes) {
+            for (const conn of this.order.incoming.get(id)) {
+                depth.set(id, Math.max(depth.get(id), depth.get(conn.in) + 1));
+            }
+        }
+        const maxDepth = Math.max(1, ...depth.values());
+        for (const node of this.nodes) {
+            if (node.type === 'output') depth.set(node.id, maxDepth);
+        }
+
+        // Columns of nodes
+        const columns = new Map();
+        for (const node of this.nodes) {
+            const d = depth.get(node.id);
+            if (!columns.has(d)) columns.set(d, []);
+            columns.get(d).push(node.id);
+        }
+
+        const positions = new Map();
+        for (const [d, ids] of columns) {
+            const x = margin + (width - 2 * margin) * d / maxDepth;
+            ids.forEach((id, i) => {
+                const y = margin + (height - 2 * margin) * (i + 0.5) / ids.length;
+                positions.set(id, { x, y });
+            });
+        }
+
+        // Connections: green = positive, red = negative, width = strength
+        for (const conn of this.connections) {
+            if (!conn.enabled) continue;
+            const from = positions.get(conn.in);
+            const to = positions.get(conn.out);
+
+            ctx.strokeStyle = conn.weight > 0 ? 'rgba(78, 204, 163, 0.7)' : 'rgba(231, 76, 60, 0.7)';
+            ctx.lineWidth = Math.min(4, 0.5 + Math.abs(conn.weight));
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+
+        // Nodes
+        const colors = { input: '#3498db', bias: '#9b59b6', hidden: '#f1c40f', output: '#4ecca3' };
+        for (const node of this.nodes) {
+            const pos = positions.get(node.id);
+            ctx.fillStyle = colors[node.type];
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Export genome to JSON
+     */
+    toJSON() {
+        const data = {
+            type: 'neat',
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            nodes: this.nodes,
+            connections: this.connections
+        };
+        if (this.mutationSigma !== null) {
+            data.mutationSigma = this.mutationSigma;
+        }
+        return data;
+    }
+
+    /**
+     * Create genome from JSON data
+     */
+    static fromJSON(data) {
+        const genome = new NeatGenome(data.inputSize, data.outputSize);
+        genome.nodes = data.nodes.map(node => ({ ...node }));
+        genome.connections = data.connections.map(conn => ({ ...conn }));
+        genome.mutationSigma = data.mutationSigma ?? null;
+        Innovation.register(genome);
+        return genome;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Innovation, NeatGenome };
+}
@@ -1,20 +1,46 @@
 /**
- * Simple neural network to control cars
- * Architecture: inputs -> hidden layer -> outputs
+ * Layered neural network to control cars
+ * Architecture: inputs -> any number of hidden layers -> outputs
+ * Example: new NeuralNetwork([9, 12, 8, 4])
  */
 class NeuralNetwork {
-    constructor(inputSize, hiddenSize, outputSize) {
-        this.inputSize = inputSize;
-        this.hiddenSize = hiddenSize;
-        this.outputSize = outputSize;
+    /**
+     * @param {number[]} layerSizes - Neurons per layer, inputs first and outputs last
+     * @param {string[]} activations - Activation of each layer after the input (default: sigmoid)
+     */
+    constructor(layerSizes, activations = null) {
+        if (layerSizes.length < 2) {
+            throw new Error('A network needs at least an input and an output layer');
+        }
+
+        this.layerSizes = [...layerSizes];
+        this.activations = activations
+            ? [...activations]
+            : new Array(layerSizes.length - 1).fill('sigmoid');
+
+        if (this.activations.length !== layerSizes.length - 1) {
+            throw new Error('One activation is needed per layer after the input');
+        }
+        for (const name of this.activations) {
+            if (!NeuralNetwork.ACTIVATIONS[name]) {
+                throw new Error(`Unknown activation: ${name}`);
+            }
+        }
+
+        this.inputSize = layerSizes[0];
+        this.outputSize = layerSizes[layerSizes.length - 1];
 
-        // Initialize weights with random values between -1 and 1
-        this.weightsInputHidden = this.createMatrix(hiddenSize, inputSize);
-        this.weightsHiddenOutput = this.createMatrix(outputSize, hiddenSize);
+        // weights[l][i][j]: from neuron j of layer l to neuron i of layer l + 1
+        this.weights = [];
+        // biases[l][i]: bias of neuron i of layer l + 1
+        this.biases = [];
+        for (let l = 0; l < layerSizes.length - 1; l++) {
+            this.weights.push(this.createMatrix(layerSizes[l + 1], layerSizes[l]));
+            this.biases.push(this.createArray(layerSizes[l + 1]));
+        }
 
-        // Biases
-        this.biasHidden = this.createArray(hiddenSize);
-        this.biasOutput = this.createArray(outputSize);
+        // Own mutation step size (self-adaptive mutation only)
+        this.mutationSigma = null;
 
         this.randomize();
     }
@@ -38,137 +64,249 @@ class NeuralNetwork {
     }
 
     /**
-     * Initialize weights and biases with random values
+     * Apply a function to every weight and bias (in a fixed order)
+     * @param {Function} fn - value => new value
      */
-    randomize() {
-        for (let i = 0; i < this.hiddenSize; i++) {
-            for (let j = 0; j < this.inputSize; j++) {
-                this.weightsInputHidden[i][j] = Math.random() * 2 - 1;
+    mapParameters(fn) {
+        for (let l = 0; l < this.weights.length; l++) {
+            const weights = this.weights[l];
+            const biases = this.biases[l];
+            for (let i = 0; i < weights.length; i++) {
+                for (let j = 0; j < weights[i].length; j++) {
+                    weights[i][j] = fn(weights[i][j]);
+                }
+                biases[i] = fn(biases[i]);
             }
-            this.biasHidden[i] = Math.random() * 2 - 1;
         }
+    }
 
-        for (let i = 0; i < this.outputSize; i++) {
-            for (let j = 0; j < this.hiddenSize; j++) {
-                this.weightsHiddenOutput[i][j] = Math.random() * 2 - 1;
-            }
-            this.biasOutput[i] = Math.random() * 2 - 1;
-        }
+    /**
+     * All weights and biases as a flat array (mapParameters order)
+     */
+    getParameters() {
+        const values = [];
+        this.mapParameters((value) => {
+            values.push(value);
+            return value;
+        });
+        return values;
     }
 
     /**
-     * Activation function: sigmoid (returns value between 0 and 1)
+     * Replace all weights and biases from a flat array (see getParameters)
      */
-    activate(x) {
-        return 1 / (1 + Math.exp(-x));
+    setParameters(values) {
+        let index = 0;
+        this.mapParameters(() => values[index++]);
+    }
+
+    /**
+     * Initialize weights and biases with random values
+     */
+    randomize() {
+        this.mapParameters(() => Random.next() * 2 - 1);
+    }
+
+    /**
+     * Apply an activation function by name
+     */
+    activate(x, name = 'sigmoid') {
+        return NeuralNetwork.ACTIVATIONS[name](x);
     }
 
     /**
      * Forward propagation: compute outputs from inputs
      */
     predict(inputs) {
-        // Hidden layer
-        const hidden = [];
-        for (let i = 0; i < this.hiddenSize; i++) {
-            let sum = this.biasHidden[i];
-            for (let j = 0; j < this.inputSize; j++) {
-                sum += inputs[j] * this.weightsInputHidden[i][j];
+        const layers = this.forward(inputs);
+        return layers[layers.length - 1];
+    }
+
+    /**
+     * Forward propagation keeping the values of every layer, inputs first
+     */
+    forward(inputs) {
+        const layers = [inputs];
+        let values = inputs;
+
+        for (let l = 0; l < this.weights.length; l++) {
+            const weights = this.weights[l];
+            const biases = this.biases[l];
+            const activation = NeuralNetwork.ACTIVATIONS[this.activations[l]];
+            const next = [];
+
+            for (let i = 0; i < weights.length; i++) {
+                let sum = biases[i];
+                for (let j = 0; j < weights[i].length; j++) {
+                    sum += values[j] * weights[i][j];
+                }
+                next[i] = activation(sum);
             }
-            hidden[i] = this.activate(sum);
+            values = next;
+            layers.push(values);
         }
 
-        // Output layer
-        const outputs = [];
-        for (let i = 0; i < this.outputSize; i++) {
-            let sum = this.biasOutput[i];
-            for (let j = 0; j < this.hiddenSize; j++) {
-                sum += hidden[j] * this.weightsHiddenOutput[i][j];
+        return layers;
+    }
+
+    /**
+     * Supervised training: stochastic gradient descent on the mean squared error
+     * @param {Array} samples - { inputs, targets } pairs
+     * @param {Object} options - epochs, learningRate
+     * @returns {number[]} Mean loss of each epoch
+     */
+    train(samples, { epochs = 100, learningRate = 0.1 } = {}) {
+        const order = samples.map((sample, i) => i);
+        const losses = [];
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            // New sample order every epoch (Fisher-Yates shuffle)
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(Random.next() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
             }
-            outputs[i] = this.activate(sum);
+
+            let total = 0;
+            for (const index of order) {
+                total += this.trainSample(samples[index].inputs, samples[index].targets, learningRate);
+            }
+            losses.push(total / samples.length);
         }
 
-        return outputs;
+        return losses;
     }
 
     /**
-     * Create a copy of the neural network
+     * One gradient descent step (backpropagation) on a single sample
+     * @returns {number} Squared error of the sample before the step
      */
-    clone() {
-        const clone = new NeuralNetwork(this.inputSize, this.hiddenSize, this.outputSize);
+    trainSample(inputs, targets, learningRate) {
+        const layers = this.forward(inputs);
+        const outputs = layers[layers.length - 1];
+        const outputDerivative = NeuralNetwork.DERIVATIVES[this.activations[this.activations.length - 1]];
+
+        // Error gradient of each neuron sum, from the output layer backwards
+        let loss = 0;
+        let deltas = outputs.map((value, i) => {
+            const error = value - targets[i];
+            loss += error * error;
+            return error * outputDerivative(value);
+        });
+
+        for (let l = this.weights.length - 1; l >= 0; l--) {
+            const weights = this.weights[l];
+            const biases = this.biases[l];
+            const values = layers[l];
 
-        for (let i = 0; i < this.hiddenSize; i++) {
-            for (let j = 0; j < this.inputSize; j++) {
-                clone.weightsInputHidden[i][j] = this.weightsInputHidden[i][j];
+            // Gradients of the previous layer, with the weights before this step
+            let previous = null;
+            if (l > 0) {
+                const derivative = NeuralNetwork.DERIVATIVES[this.activations[l - 1]];
+                previous = values.map((value, j) => {
+                    let sum = 0;
+                    for (let i = 0; i < weights.length; i++) {
+                        sum += weights[i][j] * deltas[i];
+                    }
+                    return sum * derivative(value);
+                });
             }
-            clone.biasHidden[i] = this.biasHidden[i];
-        }
 
-        for (let i = 0; i < this.outputSize; i++) {
-            for (let j = 0; j < this.hiddenSize; j++) {
-                clone.weightsHiddenOutput[i][j] = this.weightsHiddenOutput[i][j];
+            for (let i = 0; i < weights.length; i++) {
+                for (let j = 0; j < weights[i].length; j++) {
+                    weights[i][j] -= learningRate * deltas[i] * values[j];
+                }
+                biases[i] -= learningRate * deltas[i];
             }
-            clone.biasOutput[i] = this.biasOutput[i];
+
+            deltas = previous;
         }
 
+        return loss / outputs.length;
+    }
+
+    /**
+     * Check if another network has the same layer sizes
+     */
+    sameTopology(other) {
+        return this.layerSizes.length === other.layerSizes.length &&
+            this.layerSizes.every((size, l) => size === other.layerSizes[l]);
+    }
+
+    /**
+     * Create a copy of the neural network
+     */
+    clone() {
+        const clone = new NeuralNetwork(this.layerSizes, this.activations);
+        clone.weights = this.weights.map(matrix => matrix.map(row => [...row]));
+        clone.biases = this.biases.map(biases => [...biases]);
+        clone.mutationSigma = this.mutationSigma;
         return clone;
     }
 
     /**
      * Apply random mutation to network weights
      * @param {number} rate - Mutation probability (0 to 1)
+     * @param {string} operator - 'uniform', 'gaussian', 'reset' or 'selfAdaptive' (see NeuralNetwork.MUTATIONS)
+     * @param {number} sigma - Gaussian step size (initial step size when self-adaptive)
      */
-    mutate(rate) {
-        const mutateValue = (value) => {
-            if (Math.random() < rate) {
-                // Gaussian mutation
-                return value + (Math.random() * 2 - 1) * 0.5;
-            }
-            return value;
-        };
-
-        for (let i = 0; i < this.hiddenSize; i++) {
-            for (let j = 0; j < this.inputSize; j++) {
-                this.weightsInputHidden[i][j] = mutateValue(this.weightsInputHidden[i][j]);
-            }
-            this.biasHidden[i] = mutateValue(this.biasHidden[i]);
+    mutate(rate, operator = 'uniform', sigma = NeuralNetwork.DEFAULT_SIGMA) {
+        let mutation = NeuralNetwork.MUTATIONS[operator];
+        let step = sigma;
+        if (operator === 'selfAdaptive') {
+            step = NeuralNetwork.adaptSigma(this, this.getParameters().length, sigma);
+            mutation = NeuralNetwork.MUTATIONS.gaussian;
         }
 
-        for (let i = 0; i < this.outputSize; i++) {
-            for (let j = 0; j < this.hiddenSize; j++) {
-                this.weightsHiddenOutput[i][j] = mutateValue(this.weightsHiddenOutput[i][j]);
-            }
-            this.biasOutput[i] = mutateValue(this.biasOutput[i]);
-        }
+        this.mapParameters((value) => Random.next() < rate ? mutation(value, step) : value);
     }
 
     /**
-     * Crossover between two neural networks
+     * Self-adaptation: the genome's own step size mutates first (log-normal,
+     * tau = 1 / sqrt(n)) so that good step sizes are inherited with good weights
+     * @param {Object} genome - Network or NEAT genome, its mutationSigma is updated
+     * @param {number} parameterCount - Number of mutable weights
+     * @param {number} initialSigma - Step size of a genome that has none yet
+     * @returns {number} Step size for this mutation
      */
-    static crossover(parent1, parent2) {
-        const child = new NeuralNetwork(parent1.inputSize, parent1.hiddenSize, parent1.outputSize);
+    static adaptSigma(genome, parameterCount, initialSigma) {
+        const tau = 1 / Math.sqrt(Math.max(1, parameterCount));
+        const sigma = (genome.mutationSigma ?? initialSigma) * Math.exp(tau * Random.gaussian());
+        genome.mutationSigma = Math.min(NeuralNetwork.MAX_SIGMA, Math.max(NeuralNetwork.MIN_SIGMA, sigma));
+        return genome.mutationSigma;
+    }
 
-        for (let i = 0; i < parent1.hiddenSize; i++) {
-            for (let j = 0; j < parent1.inputSize; j++) {
-                child.weightsInputHidden[i][j] = Math.random() < 0.5
-                    ? parent1.weightsInputHidden[i][j]
-                    : parent2.weightsInputHidden[i][j];
-            }
-            child.biasHidden[i] = Math.random() < 0.5
-                ? parent1.biasHidden[i]
-                : parent2.biasHidden[i];
+    /**
+     * Step size of a child: mean of the parents' own step sizes (null if neither has one)
+     */
+    static inheritSigma(parent1, parent2) {
+        const sigmas = [parent1.mutationSigma, parent2.mutationSigma].filter(sigma => sigma !== null);
+        return sigmas.length > 0 ? sigmas.reduce((a, b) => a + b, 0) / sigmas.length : null;
+    }
+
+    /**
+     * Crossover between two neural networks (same topology)
+     */
+    static crossover(parent1, parent2) {
+        if (!parent1.sameTopology(parent2)) {
+            throw new Error('Cannot cross networks with different layer sizes');
         }
 
-        for (let i = 0; i < parent1.outputSize; i++) {
-            for (let j = 0; j < parent1.hiddenSize; j++) {
-                child.weightsHiddenOutput[i][j] = Math.random() < 0.5
-                    ? parent1.weightsHiddenOutput[i][j]
-                    : parent2.weightsHiddenOutput[i][j];
+        const child = new NeuralNetwork(parent1.layerSizes, parent1.activations);
+
+        for (let l = 0; l < child.weights.length; l++) {
+            for (let i = 0; i < child.weights[l].length; i++) {
+                for (let j = 0; j < child.weights[l][i].length; j++) {
+                    child.weights[l][i][j] = Random.next() < 0.5
+                        ? parent1.weights[l][i][j]
+                        : parent2.weights[l][i][j];
+                }
+                child.biases[l][i] = Random.next() < 0.5
+                    ? parent1.biases[l][i]
+                    : parent2.biases[l][i];
             }
-            child.biasOutput[i] = Math.random() < 0.5
-                ? parent1.biasOutput[i]
-                : parent2.biasOutput[i];
         }
 
+        child.mutationSigma = NeuralNetwork.inheritSigma(parent1, parent2);
         return child;
     }
 
@@ -176,26 +314,76 @@ class NeuralNetwork {
      * Export network to JSON
      */
     toJSON() {
-        return {
-            inputSize: this.inputSize,
-            hiddenSize: this.hiddenSize,
-            outputSize: this.outputSize,
-            weightsInputHidden: this.weightsInputHidden,
-            weightsHiddenOutput: this.weightsHiddenOutput,
-            biasHidden: this.biasHidden,
-            biasOutput: this.biasOutput
+        const data = {
+            layerSizes: this.layerSizes,
+            activations: this.activations,
+            weights: this.weights,
+            biases: this.biases
         };
+        if (this.mutationSigma !== null) {
+            data.mutationSigma = this.mutationSigma;
+        }
+        return data;
     }
 
     /**
      * Create network from JSON data
+     * Also reads the single hidden layer format of version 2 models
+     * (networks saved without activations are all sigmoid)
      */
     static fromJSON(data) {
-        const nn = new NeuralNetwork(data.inputSize, data.hiddenSize, data.outputSize);
-        nn.weightsInputHidden = data.weightsInputHidden;
-        nn.weightsHiddenOutput = data.weightsHiddenOutput;
-        nn.biasHidden = data.biasHidden;
-        nn.biasOutput = data.biasOutput;
+        if (!data.layerSizes) {
+            const nn = new NeuralNetwork([data.inputSize, data.hiddenSize, data.outputSize]);
+            nn.weights = [data.weightsInputHidden, data.weightsHiddenOutput];
+            nn.biases = [data.biasHidden, data.biasOutput];
+            return nn;
+        }
+
+        const nn = new NeuralNetwork(data.layerSizes, data.activations || null);
+        nn.weights = data.weights;
+        nn.biases = data.biases;
+        nn.mutationSigma = data.mutationSigma ?? null;
         return nn;
     }
 }
+
+/**
+ * Available activation functions
+ */
+NeuralNetwork.ACTIVATIONS = {
+    sigmoid: (x) => 1 / (1 + Math.exp(-x)),   // 0 to 1
+    tanh: (x) => Math.tanh(x),                 // -1 to 1
+    relu: (x) => Math.max(0, x),               // 0 to +inf
+    leakyRelu: (x) => x > 0 ? x : 0.01 * x,    // -inf to +inf, small slope below 0
+    linear: (x) => x                           // -inf to +inf
+};
+
+/**
+ * Derivatives of the activation functions, from their output value
+ */
+NeuralNetwork.DERIVATIVES = {
+    sigmoid: (y) => y * (1 - y),
+    tanh: (y) => 1 - y * y,
+    relu: (y) => y > 0 ? 1 : 0,
+    leakyRelu: (y) => y > 0 ? 1 : 0.01,
+    linear: () => 1
+};
+
+/**
+ * Weight mutation operators: (value, sigma) => new value
+ * Self-adaptive mutation is gaussian with the genome's own sigma (see adaptSigma)
+ */
+NeuralNetwork.MUTATIONS = {
+    uniform: (value) => value + (Random.next() * 2 - 1) * 0.5,   // Noise in ±0.5
+    gaussian: (value, sigma) => value + Random.gaussian() * sigma,
+    reset: () => Random.next() * 2 - 1                            // New value, as in a new network
+};
+
+// Gaussian step size when none is given, and bounds of self-adapted step sizes
+NeuralNetwork.DEFAULT_SIGMA = 0.2;
+NeuralNetwork.MIN_SIGMA = 0.01;
+NeuralNetwork.MAX_SIGMA = 2;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NeuralNetwork };
+}
@@ -0,0 +1,353 @@
+/**
+ * Alternatives to the genetic algorithm for layered networks: each optimizer
+ * searches the flattened weights (NeuralNetwork.getParameters) and builds the
+ * next population with evolve(cars, track), like GeneticAlgorithm.evolve
+ */
+
+/**
+ * New car driven by a copy of a network with other weights
+ */
+function createOptimizerCar(track, template, parameters) {
+    const brain = template.clone();
+    brain.setParameters(parameters);
+    return new Car(track.startX, track.startY, track.startAngle, brain);
+}
+
+/**
+ * CMA-ES: covariance matrix adaptation evolution strategy
+ * (Hansen, "The CMA Evolution Strategy: A Tutorial", 2016)
+ * Samples are drawn with the Cholesky factor of the covariance matrix
+ * Above FULL_MAX_DIMENSION weights only the diagonal is adapted (separable CMA-ES,
+ * Ros & Hansen, 2008): the full matrix costs O(n^3) per generation and n^2 numbers per session
+ */
+class CmaEs {
+    /**
+     * @param {Function} score - car => value to maximize
+     */
+    constructor(score) {
+        this.score = score;
+        this.mean = null; // Set from the first scored population
+        this.sigma = 0;
+        this.diagonal = false; // Separable: covariance and factor are vectors (variances, deviations)
+        this.covariance = null;
+        this.factor = null; // Lower triangular A, covariance = A * A^T
+        this.pathC = null;
+        this.pathSigma = null;
+        this.generation = 0;
+    }
+
+    /**
+     * Start the search around a point
+     */
+    init(mean) {
+        const n = mean.length;
+        this.mean = [...mean];
+        this.sigma = Config.genetic.stepSize;
+        this.diagonal = n > CmaEs.FULL_MAX_DIMENSION;
+        this.covariance = this.diagonal ? new Array(n).fill(1) : CmaEs.identity(n);
+        this.factor = this.diagonal ? new Array(n).fill(1) : CmaEs.identity(n);
+        this.pathC = new Array(n).fill(0);
+        this.pathSigma = new Array(n).fill(0);
+        this.generation = 0;
+    }
+
+    /**
+     * Update the distribution from the scored cars and sample the next population
+     */
+    evolve(cars, track) {
+        const template = cars[0].brain;
+        const sorted = [...cars].sort((a, b) => this.score(b) - this.score(a));
+        const points = sorted.map(car => car.brain.getParameters());
+
+        // First generation, or a new network shape: start from the best car
+        if (!this.mean || this.mean.length !== points[0].length) {
+            this.init(points[0]);
+        } else {
+            this.update(points);
+        }
+
+        const newCars = [];
+        for (let k = 0; k < cars.length; k++) {
+            const z = this.mean.map(() => Random.gaussian());
+            const y = this.diagonal ? z.map((value, i) => this.factor[i] * value) : CmaEs.multiplyLower(this.factor, z);
+            newCars.push(createOptimizerCar(track, template, this.mean.map((m, i) => m + this.sigma * y[i])));
+        }
+        return newCars;
+    }
+
+    /**
+     * Move the mean, adapt the covariance and the step size
+     * @param {Array} points - Parameters of the sampled cars, best first
+     */
+    update(points) {
+        const n = this.mean.length;
+        const lambda = points.length;
+        const mu = Math.floor(lambda / 2);
+
+        // Recombination weights
+        const raw = [];
+        for (let i = 0; i < mu; i++) {
+            raw.push(Math.log(mu + 0.5) - Math.log(i + 1));
+        }
+        const sum = raw.reduce((a, b) => a + b, 0);
+        const weights = raw.map(w => w / sum);
+        const muEff = 1 / weights.reduce((total, w) => total + w * w, 0);
+
+        // Strategy parameters (a diagonal covariance learns (n + 2) / 3 times faster)
+        const speedup = this.diagonal ? (n + 2) / 3 : 1;
+        const cc = (4 + muEff / n) / (n + 4 + 2 * muEff / n);
+        const cs = (muEff + 2) / (n + muEff + 5);
+        const c1 = Math.min(1, 2 * speedup / ((n + 1.3) ** 2 + muEff));
+        const cmu = Math.min(1 - c1, 2 * speedup * (muEff - 2 + 1 / muEff) / ((n + 2) ** 2 + muEff));
+        const damps = 1 + 2 * Math.max(0, Math.sqrt((muEff - 1) / (n + 1)) - 1) + cs;
+        const chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+        // Steps of the best points from the old mean, in sigma units
+        const oldMean = this.mean;
+        const steps = points.slice(0, mu).map(x => x.map((value, i) => (value - oldMean[i]) / this.sigma));
+        const meanStep = oldMean.map((m, i) => steps.reduce((total, y, k) => total + weights[k] * y[i], 0));
+        this.mean = oldMean.map((m, i) => m + this.sigma * meanStep[i]);
+
+        // Evolution paths
+        const whitened = this.diagonal
+            ? meanStep.map((value, i) => value / this.factor[i])
+            : CmaEs.solveLower(this.factor, meanStep);
+        const normS = Math.sqrt(cs * (2 - cs) * muEff);
+        this.pathSigma = this.pathSigma.map((p, i) => (1 - cs) * p + normS * whitened[i]);
+
+        this.generation++;
+        const psNorm = Math.sqrt(this.pathSigma.reduce((total, p) => total + p * p, 0));
+        const hSigma = psNorm / Math.sqrt(1 - (1 - cs) ** (2 * this.generation)) / chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+        const normC = Math.sqrt(cc * (2 - cc) * muEff);
+        this.pathC = this.pathC.map((p, i) => (1 - cc) * p + hSigma * normC * meanStep[i]);
+
+        // Covariance: rank-one (evolution path) and rank-mu (best steps) updates
+        const keep = 1 - c1 - cmu + (1 - hSigma) * c1 * cc * (2 - cc);
+        if (this.diagonal) {
+            this.covariance = this.covariance.map((value, i) => {
+                const rankMu = steps.reduce((total, y, k) => total + weights[k] * y[i] * y[i], 0);
+                return keep * value + c1 * this.pathC[i] * this.pathC[i] + cmu * rankMu;
+            });
+            this.sigma *= Math.exp((cs / damps) * (psNorm / chiN - 1));
+            this.factor = this.covariance.map(value => Math.sqrt(Math.max(value, 1e-20)));
+            return;
+        }
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let rankMu = 0;
+                for (let k = 0; k < mu; k++) {
+                    rankMu += weights[k] * steps[k][i] * steps[k][j];
+                }
+                const value = keep * this.covariance[i][j] + c1 * this.pathC[i] * this.pathC[j] + cmu * rankMu;
+                this.covariance[i][j] = value;
+                this.covariance[j][i] = value;
+            }
+        }
+
+        // Step size
+        this.sigma *= Math.exp((cs / damps) * (psNorm / chiN - 1));
+
+        this.factor = CmaEs.cholesky(this.covariance);
+        if (!this.factor) {
+            // Numerical breakdown: restart the shape of the search around the mean
+            this.covariance = CmaEs.identity(n);
+            this.factor = CmaEs.identity(n);
+            this.pathC.fill(0);
+            this.pathSigma.fill(0);
+        }
+    }
+
+    /**
+     * Export the search distribution
+     */
+    getState() {
+        return {
+            type: 'cmaes',
+            mean: this.mean,
+            sigma: this.sigma,
+            diagonal: this.diagonal,
+            covariance: this.covariance, // Variances only when diagonal
+            pathC: this.pathC,
+            pathSigma: this.pathSigma,
+            generation: this.generation
+        };
+    }
+
+    /**
+     * Restore the search distribution from getState() data
+     */
+    setState(state) {
+        this.mean = state.mean;
+        this.sigma = state.sigma;
+        this.diagonal = state.diagonal ?? false;
+        this.covariance = state.covariance;
+        if (!state.covariance) {
+            this.factor = null;
+        } else if (this.diagonal) {
+            this.factor = state.covariance.map(value => Math.sqrt(value));
+        } else {
+            this.factor = CmaEs.cholesky(state.covariance);
+        }
+        this.pathC = state.pathC;
+        this.pathSigma = state.pathSigma;
+        this.generation = state.generation;
+    }
+
+    /**
+     * n x n identity matrix
+     */
+    static identity(n) {
+        return Array.from({ length: n }, (row, i) => {
+            const values = new Array(n).fill(0);
+            values[i] = 1;
+            return values;
+        });
+    }
+
+    /**
+     * Cholesky factor L of a symmetric matrix (M = L * L^T)
+     * @returns {Array|null} null if the matrix is not positive definite
+     */
+    static cholesky(matrix) {
+        const n = matrix.length;
+        const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= lower[i][k] * lower[j][k];
+                }
+                if (i === j) {
+                    if (sum <= 0) return null;
+                    lower[i][i] = Math.sqrt(sum);
+                } else {
+                    lower[i][j] = sum / lower[j][j];
+                }
+            }
+        }
+        return lower;
+    }
+
+    /**
+     * L * v for a lower triangular L
+     */
+    static multiplyLower(lower, vector) {
+        return lower.map((row, i) => {
+            let sum = 0;
+            for (let j = 0; j <= i; j++) {
+                sum += row[j] * vector[j];
+            }
+            return sum;
+        });
+    }
+
+    /**
+     * Solve L * x = v for a lower triangular L (forward substitution)
+     */
+    static solveLower(lower, vector) {
+        const result = [];
+        for (let i = 0; i < vector.length; i++) {
+            let sum = vector[i];
+            for (let j = 0; j < i; j++) {
+                sum -= lower[i][j] * result[j];
+            }
+            result.push(sum / lower[i][i]);
+        }
+        return result;
+    }
+}
+
+// Largest number of weights searched with a full covariance matrix
+CmaEs.FULL_MAX_DIMENSION = 200;
+
+/**
+ * Natural evolution strategy with mirrored sampling (Salimans et al., 2017):
+ * cars drive mean + sigma * noise and mean - sigma * noise, the mean follows
+ * the rank-weighted noise (a search gradient estimate)
+ */
+class EvolutionStrategy {
+    /**
+     * @param {Function} score - car => value to maximize
+     */
+    constructor(score) {
+        this.score = score;
+        this.mean = null; // Set from the first scored population
+    }
+
+    /**
+     * Move the mean along the estimated gradient and sample the next population
+     */
+    evolve(cars, track) {
+        const template = cars[0].brain;
+        const sigma = Config.genetic.stepSize;
+
+        if (!this.mean || this.mean.length !== template.getParameters().length) {
+            // First generation, or a new network shape: start from the best car
+            const best = cars.reduce((a, b) => this.score(b) > this.score(a) ? b : a);
+            this.mean = best.brain.getParameters();
+        } else {
+            this.update(cars, sigma);
+        }
+
+        // Mirrored pairs; with an odd population the mean itself is driven too
+        const newCars = [];
+        while (newCars.length + 1 < cars.length) {
+            const noise = this.mean.map(() => Random.gaussian());
+            newCars.push(createOptimizerCar(track, template, this.mean.map((m, i) => m + sigma * noise[i])));
+            newCars.push(createOptimizerCar(track, template, this.mean.map((m, i) => m - sigma * noise[i])));
+        }
+        if (newCars.length < cars.length) {
+            newCars.push(createOptimizerCar(track, template, this.mean));
+        }
+        return newCars;
+    }
+
+    /**
+     * Gradient step with centered ranks as utilities (-0.5 worst to 0.5 best)
+     */
+    update(cars, sigma) {
+        const sorted = [...cars].sort((a, b) => this.score(a) - this.score(b));
+        const count = sorted.length;
+        const gradient = new Array(this.mean.length).fill(0);
+
+        sorted.forEach((car, rank) => {
+            const utility = count > 1 ? rank / (count - 1) - 0.5 : 0;
+            car.brain.getParameters().forEach((value, i) => {
+                gradient[i] += utility * (value - this.mean[i]) / sigma;
+            });
+        });
+
+        const step = Config.genetic.learningRate / (count * sigma);
+        this.mean = this.mean.map((m, i) => m + step * gradient[i]);
+    }
+
+    /**
+     * Export the search distribution
+     */
+    getState() {
+        return { type: 'nes', mean: this.mean };
+    }
+
+    /**
+     * Restore the search distribution from getState() data
+     */
+    setState(state) {
+        this.mean = state.mean;
+    }
+}
+
+/**
+ * Optimizer for Config.genetic.optimizer (null for the genetic algorithm)
+ */
+function createOptimizer(type, score) {
+    switch (type) {
+        case 'cmaes': return new CmaEs(score);
+        case 'nes': return new EvolutionStrategy(score);
+        default: return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CmaEs, EvolutionStrategy, createOptimizer, createOptimizerCar };
+}
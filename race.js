@@ -0,0 +1,163 @@
+/**
+ * Race between saved models: every car starts from the grid once and drives
+ * without evolution, under the current physics and race settings
+ */
+class Race {
+    /**
+     * @param {Track} track - Track to race on
+     * @param {Array} entries - { name, brain, sensorCount, sensorRange } (see Race.entryFromModel)
+     * @param {number} maxFrames - Time limit, cars still running are stopped
+     */
+    constructor(track, entries, maxFrames = Race.MAX_FRAMES) {
+        this.track = track;
+        this.entries = entries;
+        this.maxFrames = maxFrames;
+        this.frame = 0;
+
+        this.cars = entries.map((entry, i) => {
+            const { x, y } = Race.gridPosition(track, i);
+            const car = new Car(x, y, track.startAngle, entry.brain.clone());
+
+            // Sensors of the model, whatever the current network settings
+            car.sensorCount = entry.sensorCount;
+            car.sensorLength = entry.sensorRange;
+            car.sensorAngles = car.generateSensorAngles(entry.sensorCount);
+            car.sensorReadings = new Array(entry.sensorCount).fill(1);
+
+            car.color = Race.COLORS[i % Race.COLORS.length];
+            return car;
+        });
+
+        // Per car: frame of the finish, and how its race ended
+        this.finishFrames = this.cars.map(() => null);
+        this.outcomes = this.cars.map(() => null);
+    }
+
+    /**
+     * Build a race entry from model.json data
+     * The brain must take the sensors of the model config (+ speed and direction)
+     */
+    static entryFromModel(name, data) {
+        if (!data || !data.brain) {
+            throw new Error(`${name}: not a model file`);
+        }
+
+        const brain = GeneticAlgorithm.brainFromJSON(data.brain);
+        const inputs = brain.inputSize; // Layered, older single hidden layer and NEAT brains alike
+
+        // Models saved without config: sensors are deduced from the brain
+        const network = data.config && data.config.network;
+        const sensorCount = network ? network.sensorCount : inputs - 3;
+        const sensorRange = network ? network.sensorRange : Config.network.sensorRange;
+
+        if (sensorCount < 2 || sensorCount + 3 !== inputs) {
+            throw new Error(`${name}: brain has ${inputs} inputs, ${sensorCount} sensors need ${sensorCount + 3}`);
+        }
+
+        return { name, brain, sensorCount, sensorRange };
+    }
+
+    /**
+     * Start position of the i-th car: rows of three across the track, side by side
+     */
+    static gridPosition(track, index) {
+        const column = index % 3 - 1;
+        const row = Math.floor(index / 3);
+        const dirX = Math.cos(track.startAngle);
+        const dirY = Math.sin(track.startAngle);
+
+        return {
+            x: track.startX - dirY * column * Race.GRID_SPACING - dirX * row * Race.GRID_ROW_GAP,
+            y: track.startY + dirX * column * Race.GRID_SPACING - dirY * row * Race.GRID_ROW_GAP
+        };
+    }
+
+    /**
+     * Simulate one frame
+     * @returns {boolean} true once the race is over
+     */
+    update() {
+        if (this.isOver()) return true;
+
+        this.frame++;
+        this.cars.forEach((car, i) => {
+            if (!car.alive) return;
+
+            car.update(this.track.walls, this.track.checkpoints, this.track.wallGrid);
+            if (car.alive) return;
+
+            if (car.finishedLap) {
+                this.finishFrames[i] = this.frame;
+                this.outcomes[i] = 'finished';
+            } else {
+                this.outcomes[i] = car.crashed ? 'crashed' : 'stuck';
+            }
+        });
+
+        // Time limit
+        if (this.frame >= this.maxFrames) {
+            this.cars.forEach((car, i) => {
+                if (!car.alive) return;
+                car.alive = false;
+                this.outcomes[i] = 'time limit';
+            });
+        }
+
+        return this.isOver();
+    }
+
+    /**
+     * True when no car is running any more
+     */
+    isOver() {
+        return this.cars.every(car => !car.alive);
+    }
+
+    /**
+     * Standings: finished cars by finishing time, then the others by progress
+     * @returns {Array} { position, name, color, outcome, laps, lapTimes, bestLapTime, crashes, finishTime }
+     *   (times in frames, null when not finished)
+     */
+    getResults() {
+        const results = this.cars.map((car, i) => ({
+            name: this.entries[i].name,
+            color: car.color,
+            outcome: this.outcomes[i] || 'running',
+            laps: car.laps,
+            checkpoints: car.checkpointsPassed,
+            lapTimes: [...car.lapTimes],
+            bestLapTime: car.bestLapTime < Infinity ? car.bestLapTime : null,
+            crashes: car.wallContacts + (car.crashed ? 1 : 0),
+            finishTime: this.finishFrames[i]
+        }));
+
+        results.sort((a, b) => {
+            if (a.finishTime !== null || b.finishTime !== null) {
+                if (a.finishTime === null) return 1;
+                if (b.finishTime === null) return -1;
+                return a.finishTime - b.finishTime;
+            }
+            return b.checkpoints - a.checkpoints;
+        });
+
+        results.forEach((result, i) => { result.position = i + 1; });
+        return results;
+    }
+}
+
+// Cars per race (two rows of three on the grid)
+Race.MAX_ENTRIES = 6;
+
+// Grid layout: space between cars side by side, and between rows (pixels)
+Race.GRID_SPACING = 14;
+Race.GRID_ROW_GAP = 22;
+
+// Default time limit: 3 minutes
+Race.MAX_FRAMES = 60 * 60 * 3;
+
+// One color per grid slot
+Race.COLORS = ['#FFD700', '#3498db', '#e74c3c', '#2ecc71', '#9b59b6', '#e67e22'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Race };
+}
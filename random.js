@@ -0,0 +1,66 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * All simulation randomness goes through Random.next() so a run
+ * can be replayed exactly from its seed
+ */
+const Random = {
+    seed: 0,     // Seed of the current run
+    state: 0,    // Internal generator state
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit unsigned integer
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    },
+
+    /**
+     * Pick a fresh seed (when the user did not set one)
+     */
+    randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    },
+
+    /**
+     * Next value in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Normal distribution (mean 0, standard deviation 1), Box-Muller transform
+     */
+    gaussian() {
+        const u = 1 - this.next(); // (0, 1]: log(0) is avoided
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    /**
+     * Current position in the sequence (to continue a run elsewhere)
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    },
+
+    /**
+     * Continue the sequence from getState() data
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+};
+
+Random.setSeed(Random.randomSeed());
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Random };
+}
@@ -0,0 +1,341 @@
+/**
+ * Simulation core: track + population + genetic algorithm, without rendering
+ * Shared by the browser Game and the headless training runner (train.js)
+ */
+class Simulation {
+    constructor(track = null) {
+        this.track = track;
+        this.ga = null;
+        this.cars = [];
+
+        // Frames simulated in the current generation
+        this.frame = 0;
+
+        // Safety limit: end a generation after this many frames (0 = unlimited)
+        this.maxFrames = 0;
+
+        // Curriculum: other tracks driven by every genome each generation ({ name, track })
+        this.curriculum = [];
+        this.trackIndex = 0;       // Track being driven: 0 = this.track, then curriculum[trackIndex - 1]
+        this.trackFitness = [];    // Fitness of every car on each track driven this generation
+        this.homeCars = null;      // Cars of this.track, evolved once every track is driven
+        this.pendingResults = [];  // Per track results of the current generation
+        this.trackResults = [];    // Per track results of the last finished generation
+
+        if (track) {
+            this.resetPopulation();
+        }
+    }
+
+    /**
+     * Start a fresh genetic algorithm and population on the current track
+     */
+    resetPopulation() {
+        this.ga = new GeneticAlgorithm(Config.genetic.populationSize);
+        this.ga.reset();
+        this.cars = this.ga.createPopulation(this.track);
+        this.frame = 0;
+        this.clearCurriculumProgress();
+        this.trackResults = [];
+    }
+
+    /**
+     * True when each generation is scored on the curriculum tracks too
+     */
+    isCurriculum() {
+        return Config.curriculum.enabled && this.curriculum.length > 0;
+    }
+
+    /**
+     * Track the cars are driving
+     */
+    getActiveTrack() {
+        return this.trackIndex === 0 ? this.track : this.curriculum[this.trackIndex - 1].track;
+    }
+
+    /**
+     * Replace the curriculum tracks
+     * A generation already on another track starts again on this.track
+     */
+    setCurriculum(entries) {
+        if (this.trackIndex > 0) {
+            this.cars = this.homeCars.map(car => this.createCarOn(this.track, car));
+            this.frame = 0;
+        }
+        this.curriculum = entries;
+        this.clearCurriculumProgress();
+        this.trackResults = [];
+    }
+
+    /**
+     * Forget the tracks driven in this generation (the cars are on this.track)
+     * Needed whenever the population is replaced
+     */
+    clearCurriculumProgress() {
+        this.trackIndex = 0;
+        this.trackFitness = [];
+        this.homeCars = null;
+        this.pendingResults = [];
+    }
+
+    /**
+     * New car with the brain (and look) of another, at the start of a track
+     */
+    createCarOn(track, car) {
+        const next = new Car(track.startX, track.startY, track.startAngle, car.brain);
+        next.color = car.color;
+        next.isBest = car.isBest;
+        return next;
+    }
+
+    /**
+     * Advance every car by one frame
+     */
+    updateCars() {
+        const track = this.getActiveTrack();
+        for (const car of this.cars) {
+            car.update(track.walls, track.checkpoints, track.wallGrid);
+        }
+        this.frame++;
+
+        // Generation time limit
+        if (this.maxFrames > 0 && this.frame >= this.maxFrames) {
+            for (const car of this.cars) {
+                car.alive = false;
+            }
+        }
+    }
+
+    /**
+     * Evolve a new generation if all cars are dead
+     * @returns {boolean} true if a new generation was created
+     */
+    evolveIfDone() {
+        if (!this.ga.allDead(this.cars)) return false;
+
+        let cars = this.cars;
+        if (this.isCurriculum()) {
+            this.trackFitness.push(cars.map(car => car.fitness));
+            this.pendingResults.push(Simulation.summarizeTrack(cars));
+
+            // Same brains on the next track
+            if (this.trackIndex < this.curriculum.length) {
+                if (this.trackIndex === 0) {
+                    this.homeCars = cars;
+                }
+                this.trackIndex++;
+                this.cars = cars.map(car => this.createCarOn(this.getActiveTrack(), car));
+                this.frame = 0;
+                return false;
+            }
+
+            // Every track driven: the cars of this.track evolve with the aggregated fitness
+            cars = this.homeCars;
+            cars.forEach((car, i) => {
+                car.fitness = Simulation.aggregateFitness(this.trackFitness.map(fitness => fitness[i]));
+            });
+            this.trackResults = this.pendingResults;
+            this.clearCurriculumProgress();
+        }
+
+        this.cars = this.ga.evolve(cars, this.track);
+        this.frame = 0;
+        return true;
+    }
+
+    /**
+     * Fitness of a genome over every track: mean or minimum (Config.curriculum.aggregate)
+     */
+    static aggregateFitness(values) {
+        if (Config.curriculum.aggregate === 'min') {
+            return Math.min(...values);
+        }
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    /**
+     * Results of a population on one track
+     * @returns {Object} { bestFitness, meanFitness, laps, finished, bestLapTime (frames) }
+     */
+    static summarizeTrack(cars) {
+        const fitness = cars.map(car => car.fitness);
+        return {
+            bestFitness: Math.max(...fitness),
+            meanFitness: fitness.reduce((a, b) => a + b, 0) / fitness.length,
+            laps: Math.max(...cars.map(car => car.laps)),
+            finished: cars.filter(car => car.laps > 0).length,
+            bestLapTime: Math.min(...cars.map(car => car.bestLapTime))
+        };
+    }
+
+    /**
+     * Update simulation state (one frame)
+     * @returns {boolean} true if a new generation was created
+     */
+    update() {
+        // Skip if track not loaded yet
+        if (!this.track || !this.ga) return false;
+
+        this.updateCars();
+        return this.evolveIfDone();
+    }
+
+    /**
+     * Run until the current generation is over
+     */
+    runGeneration() {
+        if (!this.track || !this.ga) return;
+
+        while (!this.update()) {
+            // Simulate frames until evolution
+        }
+    }
+
+    /**
+     * Export the run (algorithm, population and random sequence), track excluded
+     * The result can go through postMessage/structuredClone
+     */
+    getState() {
+        return {
+            frame: this.frame,
+            maxFrames: this.maxFrames,
+            ga: this.ga.getState(),
+            cars: this.cars.map(car => car.getState()),
+            trackIndex: this.trackIndex,
+            trackFitness: this.trackFitness,
+            homeCars: this.homeCars ? this.homeCars.map(car => car.getState()) : null,
+            pendingResults: this.pendingResults,
+            trackResults: this.trackResults,
+            random: Random.getState()
+        };
+    }
+
+    /**
+     * Continue a run from getState() data
+     */
+    setState(state) {
+        this.ga = new GeneticAlgorithm(state.ga.populationSize);
+        this.ga.setState(state.ga);
+        this.cars = state.cars.map(car => Car.fromState(car, GeneticAlgorithm.brainFromJSON(car.brain)));
+        this.frame = state.frame;
+        this.maxFrames = state.maxFrames;
+
+        // Runs saved before curriculum training: first track
+        this.trackIndex = state.trackIndex || 0;
+        this.trackFitness = state.trackFitness || [];
+        this.homeCars = state.homeCars
+            ? state.homeCars.map(car => Car.fromState(car, GeneticAlgorithm.brainFromJSON(car.brain)))
+            : null;
+        this.pendingResults = state.pendingResults || [];
+        this.trackResults = state.trackResults || [];
+
+        // Last: rebuilding networks draws random numbers
+        Random.setState(state.random);
+    }
+
+    /**
+     * Build session data: the whole run with its config and track,
+     * to resume training exactly where it stopped
+     * @returns {Object} Data for Simulation.stringifySession()
+     */
+    getSessionData() {
+        return {
+            type: 'session',
+            version: 1,
+            config: Config.toJSON(),
+            track: this.track.toJSON(),
+            curriculum: this.getCurriculumData(),
+            state: this.getState(),
+            date: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Resume a run from session data (config, track and state)
+     */
+    loadSessionData(data) {
+        if (data.type !== 'session' || !data.state || !data.track) {
+            throw new Error('Invalid session format');
+        }
+
+        Config.loadFromJSON(data.config);
+        this.track = Track.fromJSON(data.track);
+        this.curriculum = Simulation.curriculumFromData(data.curriculum || []);
+        this.setState(data.state);
+    }
+
+    /**
+     * Curriculum tracks as JSON data (sessions, worker messages)
+     */
+    getCurriculumData() {
+        return this.curriculum.map(({ name, track }) => ({ name, track: track.toJSON() }));
+    }
+
+    /**
+     * Curriculum tracks from getCurriculumData() data
+     */
+    static curriculumFromData(data) {
+        return data.map(({ name, track }) => ({ name, track: Track.fromJSON(track) }));
+    }
+
+    /**
+     * Session to JSON text
+     * Infinite values (no lap yet, unknown distances) are kept as strings,
+     * JSON would turn them into null
+     */
+    static stringifySession(data) {
+        return JSON.stringify(data, (key, value) =>
+            typeof value === 'number' && !Number.isFinite(value) ? String(value) : value);
+    }
+
+    /**
+     * JSON text to session data (see stringifySession)
+     */
+    static parseSession(text) {
+        return JSON.parse(text, (key, value) => {
+            if (value === 'Infinity') return Infinity;
+            if (value === '-Infinity') return -Infinity;
+            if (value === 'NaN') return NaN;
+            return value;
+        });
+    }
+
+    /**
+     * Build model.json data for the best brain
+     * @param {Array|null} customTrackPoints - Track center line to embed
+     * @returns {Object|null} null if there is no model to save
+     */
+    getModelData(customTrackPoints = null) {
+        const bestBrain = this.ga.allTimeBestBrain || this.ga.bestBrain;
+        if (!bestBrain) return null;
+
+        return {
+            version: 3,
+            generation: this.ga.generation,
+            bestFitness: this.ga.bestFitness,
+            bestLaps: this.ga.bestLaps,
+            bestLapTime: this.ga.bestLapTime,
+            seed: Random.seed,
+            brain: bestBrain.toJSON(),
+            config: {
+                network: Config.network,
+                genetic: Config.genetic,
+                adaptive: Config.adaptive,
+                novelty: Config.novelty,
+                sharing: Config.sharing,
+                neat: Config.neat,
+                fitness: Config.fitness,
+                race: Config.race,
+                curriculum: Config.curriculum,
+                generator: Config.generator,
+                physics: Config.physics
+            },
+            customTrackPoints: customTrackPoints && customTrackPoints.length > 0 ? customTrackPoints : null,
+            date: new Date().toISOString()
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Simulation };
+}
@@ -0,0 +1,142 @@
+/**
+ * Web Worker running the simulation and the genetic algorithm, so that
+ * training speed does not depend on the render loop
+ *
+ * Messages received:
+ * - { type: 'start', config, track, curriculum, state, speed }: continue a run
+ *   (see Simulation.getState and Simulation.getCurriculumData)
+ * - { type: 'speed', speed }: frames per snapshot, or 'max' to simulate as fast as possible
+ * - { type: 'stop' }: pause and send the run back with a 'state' message
+ *
+ * Messages sent:
+ * - { type: 'frame', frame, cars, stats, history, replays, bestLap, lapCompleted, trackIndex, trackResults }:
+ *   about 60 snapshots per second, history and replays holding the generations
+ *   finished since the previous snapshot, bestLap only when a faster lap was
+ *   recorded (see GeneticAlgorithm.bestLap), trackIndex the curriculum track
+ *   being driven (see Simulation.trackIndex)
+ * - { type: 'state', state }: the whole run, after 'stop'
+ */
+importScripts(
+    'random.js', 'config.js', 'neuralNetwork.js', 'neat.js', 'car.js',
+    'wallGrid.js', 'track.js', 'optimizers.js', 'geneticAlgorithm.js', 'simulation.js'
+);
+
+const SNAPSHOT_INTERVAL = 16; // ms between two snapshots (~60 per second)
+
+let sim = null;
+let speed = 1;
+let timer = null;
+let lapCompleted = false;
+let historySent = 0; // History entries already sent to the page
+let bestLapSent = null; // Best lap already sent to the page
+let replaySent = 0; // Generation of the last replay sent to the page
+
+/**
+ * Simulate one frame, evolving if the generation is over
+ */
+function step() {
+    sim.updateCars();
+
+    if (!lapCompleted && sim.cars.some(car => car.laps > 0 || car.finishedLap)) {
+        lapCompleted = true;
+    }
+
+    sim.evolveIfDone();
+}
+
+/**
+ * Send what the page needs to draw the cars and update its stats
+ */
+function postFrame() {
+    const stats = sim.ga.getStats(sim.cars);
+    const best = stats.bestAliveCar;
+
+    const cars = sim.cars.map(car => {
+        const view = car.getView();
+        // The page draws the leader's graph in NEAT mode
+        if (car === best && Config.neat.enabled) {
+            view.brain = car.brain.toJSON();
+        }
+        return view;
+    });
+
+    stats.bestAliveIndex = sim.cars.indexOf(best);
+    delete stats.bestAliveCar;
+
+    const history = sim.ga.history.slice(historySent);
+    historySent = sim.ga.history.length;
+
+    const replays = sim.ga.replays.filter(replay => replay.generation > replaySent);
+    if (replays.length > 0) {
+        replaySent = replays[replays.length - 1].generation;
+    }
+
+    const bestLap = sim.ga.bestLap !== bestLapSent ? sim.ga.bestLap : null;
+    bestLapSent = sim.ga.bestLap;
+
+    postMessage({
+        type: 'frame',
+        frame: sim.frame,
+        cars,
+        stats,
+        history,
+        replays,
+        bestLap,
+        lapCompleted,
+        trackIndex: sim.trackIndex,
+        trackResults: sim.trackResults
+    });
+}
+
+/**
+ * Simulation loop: a batch of frames, then a snapshot
+ */
+function tick() {
+    if (speed === 'max') {
+        // As many frames as possible, yielding regularly to receive messages
+        const start = performance.now();
+        while (performance.now() - start < SNAPSHOT_INTERVAL) {
+            step();
+        }
+        timer = setTimeout(tick, 0);
+    } else {
+        for (let i = 0; i < speed; i++) {
+            step();
+        }
+        timer = setTimeout(tick, SNAPSHOT_INTERVAL);
+    }
+
+    postFrame();
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'start':
+            Config.loadFromJSON(message.config);
+            sim = new Simulation();
+            sim.track = Track.fromJSON(message.track);
+            sim.curriculum = Simulation.curriculumFromData(message.curriculum);
+            sim.setState(message.state);
+            speed = message.speed;
+            lapCompleted = false;
+            historySent = sim.ga.history.length;
+            bestLapSent = sim.ga.bestLap;
+            replaySent = sim.ga.generation - 1;
+
+            clearTimeout(timer);
+            tick();
+            break;
+
+        case 'speed':
+            speed = message.speed;
+            break;
+
+        case 'stop':
+            clearTimeout(timer);
+            timer = null;
+            postMessage({ type: 'state', state: sim.getState() });
+            break;
+    }
+};
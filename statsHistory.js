@@ -0,0 +1,203 @@
+/**
+ * Per-generation statistics (GeneticAlgorithm.history): export and live charts
+ */
+const StatsHistory = {
+    // Exported columns, in order
+    COLUMNS: [
+        'generation', 'bestFitness', 'meanFitness', 'medianFitness',
+        'bestCheckpoints', 'meanCheckpoints', 'laps', 'bestLapTime',
+        'mutationRate', 'diversity', 'species'
+    ],
+
+    /**
+     * CSV with a header line (empty cell when there is no value, e.g. no lap yet)
+     */
+    toCSV(history) {
+        const lines = [this.COLUMNS.join(',')];
+        for (const entry of history) {
+            lines.push(this.COLUMNS.map(column => entry[column] ?? '').join(','));
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * JSON array, one object per generation
+     */
+    toJSON(history) {
+        return JSON.stringify(history, null, 2);
+    }
+};
+
+/**
+ * Line charts of the history, one panel per group of values
+ */
+class HistoryChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Redraw all panels
+     * @param {Array} history - Entries of GeneticAlgorithm.history
+     */
+    draw(history) {
+        const ctx = this.ctx;
+        const panelWidth = this.canvas.width / HistoryChart.PANELS.length;
+
+        ctx.fillStyle = '#0a0a15';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        HistoryChart.PANELS.forEach((panel, i) => {
+            this.drawPanel(panel, history, i * panelWidth, 0, panelWidth, this.canvas.height);
+        });
+    }
+
+    /**
+     * Draw one panel: title, legend with latest values, and a line per series
+     */
+    drawPanel(panel, history, x, y, width, height) {
+        const ctx = this.ctx;
+        const left = x + 35;
+        const right = x + width - 8;
+        const top = y + 32;
+        const bottom = y + height - 16;
+
+        ctx.save();
+
+        // Frame and title
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+        ctx.fillStyle = '#4ecca3';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText(panel.title, x + 6, y + 13);
+
+        // Legend with latest values
+        ctx.font = '10px Arial';
+        const last = history[history.length - 1];
+        let legendX = x + 6;
+        for (const series of panel.series) {
+            const value = last && last[series.key] !== null ? last[series.key] : '-';
+            const text = `${series.label}: ${value}`;
+            ctx.fillStyle = series.color;
+            ctx.fillText(text, legendX, y + 26);
+            legendX += ctx.measureText(text).width + 8;
+        }
+
+        // Value range over all series
+        const values = [];
+        for (const entry of history) {
+            for (const series of panel.series) {
+                if (entry[series.key] !== null && entry[series.key] !== undefined) {
+                    values.push(entry[series.key]);
+                }
+            }
+        }
+
+        if (values.length === 0) {
+            ctx.fillStyle = '#555';
+            ctx.fillText('No data yet', left, (top + bottom) / 2);
+            ctx.restore();
+            return;
+        }
+
+        let min = Math.min(0, ...values);
+        let max = Math.max(...values);
+        if (max === min) max = min + 1;
+
+        // Axis labels
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatValue(max), left - 4, top + 4);
+        ctx.fillText(this.formatValue(min), left - 4, bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(`gen ${history[0].generation}`, left, y + height - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(`gen ${last.generation}`, right, y + height - 4);
+
+        // Lines (a single generation is drawn as a point)
+        const stepX = history.length > 1 ? (right - left) / (history.length - 1) : 0;
+        const toY = (value) => bottom - (value - min) / (max - min) * (bottom - top);
+
+        for (const series of panel.series) {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+
+            let drawing = false;
+            history.forEach((entry, i) => {
+                const value = entry[series.key];
+                if (value === null || value === undefined) {
+                    drawing = false;
+                    return;
+                }
+                const px = left + i * stepX;
+                const py = toY(value);
+                if (drawing) {
+                    ctx.lineTo(px, py);
+                } else {
+                    ctx.moveTo(px, py);
+                    ctx.fillRect(px - 1, py - 1, 2, 2);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Short axis label (1.2k for 1200)
+     */
+    formatValue(value) {
+        if (Math.abs(value) >= 1000) return (value / 1000).toFixed(1) + 'k';
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+}
+
+/**
+ * Panels of the chart and the history values they show
+ */
+HistoryChart.PANELS = [
+    {
+        title: 'Fitness',
+        series: [
+            { key: 'bestFitness', label: 'best', color: '#4ecca3' },
+            { key: 'meanFitness', label: 'mean', color: '#3498db' },
+            { key: 'medianFitness', label: 'median', color: '#9b59b6' }
+        ]
+    },
+    {
+        title: 'Checkpoints / laps',
+        series: [
+            { key: 'bestCheckpoints', label: 'best', color: '#4ecca3' },
+            { key: 'meanCheckpoints', label: 'mean', color: '#3498db' },
+            { key: 'laps', label: 'laps', color: '#FFD700' }
+        ]
+    },
+    {
+        title: 'Best lap time (s)',
+        series: [
+            { key: 'bestLapTime', label: 'lap', color: '#FFD700' }
+        ]
+    },
+    {
+        title: 'Mutation rate (%)',
+        series: [
+            { key: 'mutationRate', label: 'rate', color: '#e67e22' }
+        ]
+    },
+    {
+        title: 'Diversity',
+        series: [
+            { key: 'diversity', label: 'diversity', color: '#e74c3c' }
+        ]
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatsHistory, HistoryChart };
+}
@@ -5,6 +5,7 @@ class Track {
     constructor(customPoints = null, startX = null, startY = null, startAngle = null) {
         this.walls = [];
         this.checkpoints = [];
+        this.centerLine = [];
         this.outerPoints = [];
         this.innerPoints = [];
 
@@ -13,6 +14,9 @@ class Track {
         this.startY = startY !== null ? startY : 340;
         this.startAngle = startAngle !== null ? startAngle : 0;
 
+        // Spatial index over walls (rebuilt with the walls)
+        this.wallGrid = new WallGrid(this.walls);
+
         if (customPoints && customPoints.length > 0) {
             this.createTrackFromPoints(customPoints);
         }
@@ -137,14 +141,16 @@ class Track {
 
     /**
      * Create track from user-drawn points
-     * @param {Array} points - List of {x, y} for center line
+     * @param {Array} points - List of {x, y} for center line, with an optional
+     *   width (pixels) where the track is not Config.track.width wide
      */
     createTrackFromPoints(points) {
         // Use width from Config (with fallback)
-        const trackWidth = (typeof Config !== 'undefined' && Config.track) ? Config.track.width : 55;
+        const trackWidth = Track.defaultWidth();
 
         // Use provided points as center line
         const centerLine = points;
+        this.centerLine = points;
 
         // Generate outer and inner points
         this.outerPoints = [];
@@ -164,7 +170,7 @@ class Track {
             const nx = -dy / len;
             const ny = dx / len;
 
-            const halfWidth = trackWidth / 2;
+            const halfWidth = (curr.width || trackWidth) / 2;
             this.outerPoints.push({
                 x: curr.x + nx * halfWidth,
                 y: curr.y + ny * halfWidth
@@ -199,6 +205,8 @@ class Track {
             });
         }
 
+        this.wallGrid = new WallGrid(this.walls);
+
         // Create checkpoints based on direction changes
         this.checkpoints = [];
         const checkpointDensity = (typeof Config !== 'undefined' && Config.track)
@@ -267,7 +275,6 @@ class Track {
         }
 
         this.totalCheckpoints = this.checkpoints.length;
-        console.log(`Track created: ${this.checkpoints.length} checkpoints, width ${trackWidth}px`);
     }
 
     /**
@@ -298,6 +305,105 @@ class Track {
         });
     }
 
+    /**
+     * Walls that cross each other (folded inner corners, sections overlapping)
+     * Walls that follow each other on the same side share an end and are not counted
+     * @returns {Array} { a, b, x, y } wall index pairs and where they cross
+     */
+    findWallCrossings() {
+        const crossings = [];
+        const sideLength = this.outerPoints.length;
+        const indices = new Map(this.walls.map((wall, index) => [wall, index]));
+
+        this.walls.forEach((wall, a) => {
+            this.wallGrid.querySegment(wall.x1, wall.y1, wall.x2, wall.y2).forEach((other) => {
+                const b = indices.get(other);
+                if (b <= a) return;
+
+                if (wall.isOuter === other.isOuter) {
+                    const gap = (b - a) % sideLength;
+                    if (gap === 1 || gap === sideLength - 1) return;
+                }
+
+                const point = Track.segmentIntersection(wall, other);
+                if (point) {
+                    crossings.push({ a, b, x: point.x, y: point.y });
+                }
+            });
+        });
+
+        return crossings;
+    }
+
+    /**
+     * Geometry problems of the track:
+     * - fold: a wall crosses itself on a corner too tight for the width
+     * - overlap: walls of two sections of the lap cross (sections overlap)
+     * - tight: the centerline turns tighter than half the track width
+     * A wall crossing itself makes a fold when its loop stays within the track width of the crossing
+     * (or when the walls are near along the lap), an overlap otherwise; folds whose loop is
+     * within Track.FOLD_TOLERANCE of the crossing are sampling noise, not reported
+     * Problems closer than Track.ISSUE_DISTANCE to one of the same type are reported once
+     * @returns {Array} { type, x, y } (position of the problem)
+     */
+    findIssues() {
+        const issues = [];
+        const add = (type, x, y) => {
+            const near = issues.some(issue => issue.type === type
+                && Math.hypot(issue.x - x, issue.y - y) < Track.ISSUE_DISTANCE);
+            if (!near) issues.push({ type, x, y });
+        };
+
+        this.findWallCrossings().forEach((crossing) => {
+            const type = this.crossingType(crossing);
+            if (type) add(type, crossing.x, crossing.y);
+        });
+
+        Track.findTightPoints(this.centerLine).forEach((i) => {
+            add('tight', this.centerLine[i].x, this.centerLine[i].y);
+        });
+
+        return issues;
+    }
+
+    /**
+     * Kind of problem made by a findWallCrossings() crossing (see findIssues)
+     * @returns {string|null} 'fold', 'overlap', or null for sampling noise
+     */
+    crossingType({ a, b, x, y }) {
+        const size = this.foldSize(a, b, x, y);
+        if (size <= Track.FOLD_TOLERANCE) return null;
+
+        const count = this.outerPoints.length;
+        const gap = Math.abs(a % count - b % count);
+        return size <= Track.defaultWidth() || Math.min(gap, count - gap) <= Track.FOLD_RANGE ? 'fold' : 'overlap';
+    }
+
+    /**
+     * How far the loop of a fold reaches from the crossing of walls a and b (pixels)
+     * Walls of both sides crossing near each other are not a loop: Infinity
+     */
+    foldSize(a, b, x, y) {
+        const count = this.outerPoints.length;
+        if ((a < count) !== (b < count)) return Infinity;
+
+        // Loop points: wall starts after the first wall up to the second one, the short way round
+        const side = a < count ? this.outerPoints : this.innerPoints;
+        let start = a % count;
+        let length = (b % count - start + count) % count;
+        if (length > count / 2) {
+            start = b % count;
+            length = count - length;
+        }
+
+        let size = 0;
+        for (let k = 1; k <= length; k++) {
+            const point = side[(start + k) % count];
+            size = Math.max(size, Math.hypot(point.x - x, point.y - y));
+        }
+        return size;
+    }
+
     /**
      * Set start position
      */
@@ -308,4 +414,412 @@ class Track {
             this.startAngle = angle;
         }
     }
+
+    /**
+     * Export center line and start position
+     */
+    toJSON() {
+        return {
+            points: this.centerLine,
+            startX: this.startX,
+            startY: this.startY,
+            startAngle: this.startAngle
+        };
+    }
+
+    /**
+     * Rebuild a track from toJSON() data
+     */
+    static fromJSON(data) {
+        return new Track(data.points, data.startX, data.startY, data.startAngle);
+    }
+
+    /**
+     * Width of tracks whose points have no width of their own
+     */
+    static defaultWidth() {
+        return (typeof Config !== 'undefined' && Config.track) ? Config.track.width : 55;
+    }
+
+    /**
+     * Check track.json data before building a track
+     * @throws {Error} What is wrong with the data, in words the user can act on
+     */
+    static checkData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('not a track file (a JSON object with "points" is expected)');
+        }
+        if (!Array.isArray(data.points)) {
+            throw new Error('no "points" array of {x, y} centerline points');
+        }
+
+        data.points.forEach((point, i) => {
+            if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+                throw new Error(`point ${i} has no numeric x and y`);
+            }
+            if (point.width !== undefined && !(Number.isFinite(point.width) && point.width > 0)) {
+                throw new Error(`point ${i} has a width that is not a positive number`);
+            }
+        });
+
+        const distinct = new Set(data.points.map(point => `${point.x},${point.y}`)).size;
+        if (distinct < Track.MIN_POINTS) {
+            throw new Error(`${distinct} distinct points, a track needs at least ${Track.MIN_POINTS}`);
+        }
+
+        ['startX', 'startY', 'startAngle'].forEach((key) => {
+            if (data[key] !== undefined && data[key] !== null && !Number.isFinite(data[key])) {
+                throw new Error(`${key} is not a number`);
+            }
+        });
+    }
+
+    /**
+     * Short text for findIssues() results, e.g. "2 folded walls, 1 corner too tight"
+     */
+    static describeIssues(issues) {
+        const names = {
+            fold: ['folded wall', 'folded walls'],
+            overlap: ['overlapping section', 'overlapping sections'],
+            tight: ['corner too tight', 'corners too tight']
+        };
+
+        return Object.keys(names)
+            .map((type) => {
+                const count = issues.filter(issue => issue.type === type).length;
+                return count > 0 ? `${count} ${names[type][count > 1 ? 1 : 0]}` : null;
+            })
+            .filter(text => text !== null)
+            .join(', ');
+    }
+
+    /**
+     * Radius of the circle through the points two steps before and after point i
+     * of a closed centerline (Infinity on a straight line)
+     * @param {number} arc - If set, through the points this far along the line instead (pixels),
+     *   which does not depend on how densely the line is sampled
+     */
+    static turningRadius(points, i, arc = 0) {
+        const n = points.length;
+        const a = arc > 0 ? points[Track.indexAlong(points, i, arc, -1)] : points[(i - 2 + n) % n];
+        const b = points[i];
+        const c = arc > 0 ? points[Track.indexAlong(points, i, arc, 1)] : points[(i + 2) % n];
+
+        const ab = Math.hypot(b.x - a.x, b.y - a.y);
+        const bc = Math.hypot(c.x - b.x, c.y - b.y);
+        const ca = Math.hypot(a.x - c.x, a.y - c.y);
+        const cross = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+
+        return cross > 1e-9 ? ab * bc * ca / (2 * cross) : Infinity;
+    }
+
+    /**
+     * Index of the first point of a closed centerline at least `distance` pixels
+     * along the line from point i, forward (direction 1) or backward (-1)
+     */
+    static indexAlong(points, i, distance, direction) {
+        const n = points.length;
+        let j = i;
+        let travelled = 0;
+        while (travelled < distance) {
+            const k = (j + direction + n) % n;
+            travelled += Math.hypot(points[k].x - points[j].x, points[k].y - points[j].y);
+            j = k;
+            if (j === i) break;
+        }
+        return j;
+    }
+
+    /**
+     * Indices of centerline points turning tighter than half the track width
+     * (times a margin): the inner wall folds there
+     * The radius is measured over half the width on each side, the scale at which the wall folds
+     */
+    static findTightPoints(points, margin = 1) {
+        const width = Track.defaultWidth();
+        const tight = [];
+
+        points.forEach((point, i) => {
+            const halfWidth = (point.width || width) / 2;
+            if (Track.turningRadius(points, i, halfWidth) < halfWidth * margin) {
+                tight.push(i);
+            }
+        });
+        return tight;
+    }
+
+    /**
+     * Points every `spacing` pixels along a closed centerline
+     * (widths are interpolated when the points have one)
+     */
+    static resample(points, spacing) {
+        let perimeter = 0;
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            perimeter += Math.hypot(next.x - point.x, next.y - point.y);
+        });
+
+        const count = Math.max(Track.MIN_POINTS, Math.round(perimeter / spacing));
+        const step = perimeter / count;
+        const hasWidth = points.some(point => point.width !== undefined);
+        const result = [];
+
+        let segment = 0;
+        let segmentStart = 0; // Distance along the curve where the segment starts
+        for (let k = 0; k < count; k++) {
+            const target = k * step;
+            let a = points[segment];
+            let b = points[(segment + 1) % points.length];
+            let length = Math.hypot(b.x - a.x, b.y - a.y);
+
+            while (segmentStart + length < target && segment < points.length - 1) {
+                segmentStart += length;
+                segment++;
+                a = points[segment];
+                b = points[(segment + 1) % points.length];
+                length = Math.hypot(b.x - a.x, b.y - a.y);
+            }
+
+            const t = length > 0 ? (target - segmentStart) / length : 0;
+            const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+            if (hasWidth) {
+                const widthA = a.width || Track.defaultWidth();
+                const widthB = b.width || Track.defaultWidth();
+                point.width = widthA + (widthB - widthA) * t;
+            }
+            result.push(point);
+        }
+        return result;
+    }
+
+    /**
+     * Closed uniform Catmull-Rom spline through control points
+     * (widths are interpolated when the points have one)
+     */
+    static catmullRom(controls, samplesPerSegment = 20) {
+        const n = controls.length;
+        const hasWidth = controls.some(point => point.width !== undefined);
+        const points = [];
+
+        for (let i = 0; i < n; i++) {
+            const p0 = controls[(i - 1 + n) % n];
+            const p1 = controls[i];
+            const p2 = controls[(i + 1) % n];
+            const p3 = controls[(i + 2) % n];
+
+            for (let s = 0; s < samplesPerSegment; s++) {
+                const t = s / samplesPerSegment;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                const blend = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t
+                    + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+
+                const point = {
+                    x: blend(p0.x, p1.x, p2.x, p3.x),
+                    y: blend(p0.y, p1.y, p2.y, p3.y)
+                };
+                if (hasWidth) {
+                    const width = Track.defaultWidth();
+                    point.width = blend(p0.width || width, p1.width || width, p2.width || width, p3.width || width);
+                }
+                points.push(point);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Centerline points rounded for track.json (0.01px, widths 0.1px)
+     */
+    static roundPoints(points) {
+        return points.map((point) => {
+            const rounded = { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+            if (point.width !== undefined) {
+                rounded.width = Math.round(point.width * 10) / 10;
+            }
+            return rounded;
+        });
+    }
+
+    /**
+     * Circle problems found by findIssues()
+     */
+    static drawIssues(ctx, issues) {
+        ctx.save();
+        ctx.strokeStyle = '#ff9f1c';
+        ctx.lineWidth = 2;
+        issues.forEach((issue) => {
+            ctx.beginPath();
+            ctx.arc(issue.x, issue.y, 14, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Repaired copy of a centerline: points evenly spaced again, then sections closer
+     * than the track width pushed apart (a hairpin is opened out) and the corners
+     * that fold the walls rounded off, until both are fixed or Track.REPAIR_PASSES
+     * Sections crossing each other are left as they are (the track must be redrawn)
+     */
+    static repairPoints(points) {
+        let repaired = Track.resample(points, Track.REPAIR_SPACING);
+
+        // Pushing apart cannot uncross a lap that crosses itself, it would only fold the walls
+        const crossed = Track.crossesItself(repaired);
+
+        for (let pass = 0; pass < Track.REPAIR_PASSES; pass++) {
+            const pushes = crossed ? new Map() : Track.findCrowdedPoints(repaired, Track.REPAIR_MARGIN);
+            const tight = Track.findTightPoints(repaired, Track.REPAIR_MARGIN);
+
+            // Once sections have room, also where the walls still fold (at the transitions into corners)
+            if (pushes.size === 0) {
+                const track = new Track(repaired);
+                track.findWallCrossings()
+                    .filter(crossing => track.crossingType(crossing) === 'fold')
+                    .forEach(crossing => tight.push(crossing.a % track.outerPoints.length));
+            }
+            if (pushes.size === 0 && tight.length === 0) break;
+
+            // Half of the missing room per pass: both sides move, and they settle without overshooting
+            repaired = repaired.map((point, i) => {
+                const push = pushes.get(i);
+                return push ? { ...point, x: point.x + push.x / 2, y: point.y + push.y / 2 } : point;
+            });
+
+            // Smooth each tight corner and its neighbours
+            const n = repaired.length;
+            const smoothed = new Set();
+            tight.forEach((i) => {
+                for (let d = -2; d <= 2; d++) {
+                    smoothed.add((i + d + n) % n);
+                }
+            });
+
+            repaired = repaired.map((point, i) => {
+                if (!smoothed.has(i)) return point;
+                const prev = repaired[(i - 1 + n) % n];
+                const next = repaired[(i + 1) % n];
+                return {
+                    ...point,
+                    x: point.x * 0.5 + (prev.x + next.x) * 0.25,
+                    y: point.y * 0.5 + (prev.y + next.y) * 0.25
+                };
+            });
+        }
+
+        return Track.roundPoints(repaired);
+    }
+
+    /**
+     * Whether a closed centerline crosses itself (a figure eight)
+     */
+    static crossesItself(points) {
+        const n = points.length;
+        const segment = (i) => {
+            const a = points[i];
+            const b = points[(i + 1) % n];
+            return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+        };
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 2; j < n; j++) {
+                if ((j + 1) % n === i) continue;
+                // Passing through the same point counts too (touching ends are not an intersection)
+                const same = Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y) < 0.01;
+                if (same || Track.segmentIntersection(segment(i), segment(j))) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Centerline points closer to another section of the lap than the track width
+     * (times a margin), with the move that would give them room: the walls of the
+     * two sections cross there
+     * Points nearer along the lap than half a turn at that width are the same section
+     * @returns {Map} index => { x, y } (mean of the moves away from each crowding point)
+     */
+    static findCrowdedPoints(points, margin = 1) {
+        const width = Track.defaultWidth();
+        const n = points.length;
+
+        // Distance along the lap of each point
+        const along = [0];
+        for (let i = 1; i <= n; i++) {
+            const a = points[i - 1];
+            const b = points[i % n];
+            along.push(along[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        const perimeter = along[n];
+
+        const pushes = new Map();
+        for (let i = 0; i < n; i++) {
+            const a = points[i];
+            let sumX = 0;
+            let sumY = 0;
+            let count = 0;
+
+            for (let j = 0; j < n; j++) {
+                const b = points[j];
+                const room = ((a.width || width) + (b.width || width)) / 2 * margin;
+                const gap = Math.abs(along[i] - along[j]);
+                if (Math.min(gap, perimeter - gap) <= Math.PI * room / 2) continue;
+
+                const dist = Math.hypot(a.x - b.x, a.y - b.y);
+                if (dist >= room || dist === 0) continue;
+
+                sumX += (a.x - b.x) / dist * (room - dist) / 2;
+                sumY += (a.y - b.y) / dist * (room - dist) / 2;
+                count++;
+            }
+
+            if (count > 0) {
+                pushes.set(i, { x: sumX / count, y: sumY / count });
+            }
+        }
+        return pushes;
+    }
+
+    /**
+     * Where two segments {x1, y1, x2, y2} cross (touching ends do not count)
+     * @returns {Object|null} { x, y }
+     */
+    static segmentIntersection(s1, s2) {
+        const d1x = s1.x2 - s1.x1;
+        const d1y = s1.y2 - s1.y1;
+        const d2x = s2.x2 - s2.x1;
+        const d2y = s2.y2 - s2.y1;
+
+        const denom = d1x * d2y - d1y * d2x;
+        if (Math.abs(denom) < 1e-9) return null; // Parallel
+
+        const t = ((s2.x1 - s1.x1) * d2y - (s2.y1 - s1.y1) * d2x) / denom;
+        const u = ((s2.x1 - s1.x1) * d1y - (s2.y1 - s1.y1) * d1x) / denom;
+        if (t <= 1e-9 || t >= 1 - 1e-9 || u <= 1e-9 || u >= 1 - 1e-9) return null;
+
+        return { x: s1.x1 + d1x * t, y: s1.y1 + d1y * t };
+    }
+}
+
+// Fewest distinct centerline points of a track
+Track.MIN_POINTS = 3;
+
+// Crossing walls less than this many points apart along the lap are a fold, farther an overlap
+Track.FOLD_RANGE = 8;
+
+// Folds whose loop stays this close to the crossing are sampling noise, not a problem (pixels)
+Track.FOLD_TOLERANCE = 3;
+
+// Problems of the same type closer than this (pixels) are reported once
+Track.ISSUE_DISTANCE = 40;
+
+// Repair: spacing of the resampled centerline (pixels), passes (pushing apart and smoothing),
+// and room kept around tight corners and between sections (times the width)
+Track.REPAIR_SPACING = 12;
+Track.REPAIR_PASSES = 50;
+Track.REPAIR_MARGIN = 1.2;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Track };
 }
@@ -0,0 +1,294 @@
+/**
+ * Track editor: a closed Catmull-Rom spline through control points that can be
+ * dragged, inserted and deleted, each with its own width, with undo/redo
+ * The centerline given to Track is sampled from the spline
+ */
+class TrackEditor {
+    /**
+     * @param {Array} controls - Control points { x, y, width } (no width: Config.track.width)
+     * @param {Object|null} start - Start { x, y, angle } kept from an edited track (null: first point)
+     */
+    constructor(controls, start = null) {
+        this.controls = controls.map(point => ({ x: point.x, y: point.y, width: point.width ?? null }));
+        this.start = start;
+        this.selected = -1;
+
+        // Snapshots of the control points before each change
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastChange = null; // Kind of the last recorded change (repeated width steps are merged)
+
+        this.preview = null; // Track built from the spline, rebuilt after changes
+        this.previewIssues = [];
+    }
+
+    /**
+     * Editor with control points spread along a drawn stroke or an existing centerline
+     */
+    static fromPoints(points, start = null) {
+        return new TrackEditor(Track.resample(points, TrackEditor.CONTROL_SPACING), start);
+    }
+
+    /**
+     * Centerline sampled along the spline (points get a width when a control point has one)
+     */
+    getCenterLine() {
+        const hasWidth = this.controls.some(point => point.width !== null);
+        const controls = this.controls.map(point => (hasWidth
+            ? { x: point.x, y: point.y, width: point.width ?? Track.defaultWidth() }
+            : { x: point.x, y: point.y }));
+
+        return Track.roundPoints(Track.resample(Track.catmullRom(controls), TrackEditor.SPACING));
+    }
+
+    /**
+     * Track built from the current spline, with the kept start
+     */
+    createTrack() {
+        const start = this.start || { x: null, y: null, angle: null };
+        return new Track(this.getCenterLine(), start.x, start.y, start.angle);
+    }
+
+    /**
+     * Track built from the current spline: walls, checkpoints and problems to preview
+     */
+    getPreview() {
+        if (!this.preview) {
+            this.preview = this.createTrack();
+            this.previewIssues = this.preview.findIssues();
+        }
+        return this.preview;
+    }
+
+    /**
+     * Index of the control point under a position, -1 if none
+     */
+    findControl(x, y, radius = TrackEditor.HIT_RADIUS) {
+        let closest = -1;
+        let closestDist = radius;
+        this.controls.forEach((point, i) => {
+            const dist = Math.hypot(point.x - x, point.y - y);
+            if (dist <= closestDist) {
+                closest = i;
+                closestDist = dist;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Spline segment (from control point i to i + 1) passing near a position, -1 if none
+     */
+    findSegment(x, y, tolerance) {
+        const samples = 20;
+        const curve = Track.catmullRom(this.controls.map(point => ({ x: point.x, y: point.y })), samples);
+
+        let closest = -1;
+        let closestDist = tolerance;
+        curve.forEach((point, k) => {
+            const dist = Math.hypot(point.x - x, point.y - y);
+            if (dist <= closestDist) {
+                closest = Math.floor(k / samples);
+                closestDist = dist;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Save the control points for undo
+     * @param {string|null} kind - Changes of the same kind in a row are saved once
+     */
+    record(kind = null) {
+        if (kind !== null && kind === this.lastChange) return;
+
+        this.undoStack.push(this.snapshot());
+        if (this.undoStack.length > TrackEditor.MAX_UNDO) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.lastChange = kind;
+    }
+
+    /**
+     * Copy of the control points
+     */
+    snapshot() {
+        return this.controls.map(point => ({ ...point }));
+    }
+
+    /**
+     * Forget the preview after a change
+     */
+    changed() {
+        this.preview = null;
+    }
+
+    /**
+     * Move a control point (record() first, once per drag)
+     */
+    moveControl(i, x, y) {
+        this.controls[i].x = x;
+        this.controls[i].y = y;
+        this.changed();
+    }
+
+    /**
+     * Insert a control point after control point `segment`
+     * Its width is the mean of its neighbours
+     * @returns {number} Index of the new point
+     */
+    insertControl(segment, x, y) {
+        this.record();
+
+        const n = this.controls.length;
+        const a = this.controls[segment];
+        const b = this.controls[(segment + 1) % n];
+        const width = a.width === null && b.width === null
+            ? null
+            : ((a.width ?? Track.defaultWidth()) + (b.width ?? Track.defaultWidth())) / 2;
+
+        this.controls.splice(segment + 1, 0, { x, y, width });
+        this.selected = segment + 1;
+        this.changed();
+        return this.selected;
+    }
+
+    /**
+     * Delete a control point (a track keeps at least Track.MIN_POINTS)
+     * @returns {boolean} false if the point was kept
+     */
+    deleteControl(i) {
+        if (this.controls.length <= Track.MIN_POINTS) return false;
+
+        this.record();
+        this.controls.splice(i, 1);
+        this.selected = -1;
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Widen (delta > 0) or narrow the track at a control point
+     */
+    changeWidth(i, delta) {
+        this.record(`width ${i}`);
+
+        const point = this.controls[i];
+        const width = (point.width ?? Track.defaultWidth()) + delta;
+        point.width = Math.min(TrackEditor.MAX_WIDTH, Math.max(TrackEditor.MIN_WIDTH, width));
+        this.changed();
+    }
+
+    /**
+     * Undo the last change
+     * @returns {boolean} false if there was nothing to undo
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+
+        this.redoStack.push(this.snapshot());
+        this.controls = this.undoStack.pop();
+        this.afterHistoryStep();
+        return true;
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {boolean} false if there was nothing to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+
+        this.undoStack.push(this.snapshot());
+        this.controls = this.redoStack.pop();
+        this.afterHistoryStep();
+        return true;
+    }
+
+    /**
+     * Common end of undo() and redo()
+     */
+    afterHistoryStep() {
+        this.lastChange = null;
+        if (this.selected >= this.controls.length) {
+            this.selected = -1;
+        }
+        this.changed();
+    }
+
+    /**
+     * Draw the preview track, its problems, the spline and the control points
+     */
+    draw(ctx) {
+        const preview = this.getPreview();
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        preview.draw(ctx);
+        ctx.restore();
+        Track.drawIssues(ctx, this.previewIssues);
+
+        // Control polygon
+        ctx.save();
+        ctx.strokeStyle = 'rgba(78, 204, 163, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        this.controls.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Control points: the selected one in gold with its width, custom widths ringed
+        this.controls.forEach((point, i) => {
+            ctx.fillStyle = i === this.selected ? '#ffd700' : '#4ecca3';
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, TrackEditor.POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (point.width !== null) {
+                ctx.strokeStyle = ctx.fillStyle;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, point.width / 2, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        });
+
+        if (this.selected >= 0) {
+            const point = this.controls[this.selected];
+            ctx.fillStyle = '#ffd700';
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${Math.round(point.width ?? Track.defaultWidth())}px`, point.x + 10, point.y - 8);
+        }
+        ctx.restore();
+    }
+}
+
+// Distance between control points made from a stroke or a centerline (pixels)
+TrackEditor.CONTROL_SPACING = 80;
+
+// Distance between centerline points sampled from the spline (pixels)
+TrackEditor.SPACING = 12;
+
+// Control point size, and how close a click must be to pick one (pixels)
+TrackEditor.POINT_RADIUS = 6;
+TrackEditor.HIT_RADIUS = 10;
+
+// Track width range at a control point (pixels)
+TrackEditor.MIN_WIDTH = 30;
+TrackEditor.MAX_WIDTH = 120;
+TrackEditor.WIDTH_STEP = 2; // Per wheel notch or [ ] key press
+
+// Changes that can be undone
+TrackEditor.MAX_UNDO = 100;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackEditor };
+}
@@ -0,0 +1,183 @@
+/**
+ * Procedural tracks: closed centerlines built from a seed and the
+ * Config.generator knobs (corners, tightest radius, length, width variation)
+ * The same seed and knobs always give the same track
+ */
+const TrackGenerator = {
+    // Area the track must fit in (the game canvas) and the free border kept around it
+    WIDTH: 1150,
+    HEIGHT: 680,
+    MARGIN: 20,
+
+    SPACING: 12,           // Distance between centerline points (pixels), like the built-in tracks
+    MAX_ATTEMPTS: 50,      // Shapes tried before giving up
+    SMOOTH_STEPS: 20,      // Smoothing passes tried on a shape with too tight corners or crossing walls
+
+    // Seeds of test tracks are offset from training seeds, so that a test set is never trained on
+    TEST_SEED_OFFSET: 1000000,
+
+    /**
+     * Generate a valid track
+     * @param {number} seed - 32-bit unsigned integer
+     * @param {Object} options - Overrides of Config.generator
+     * @returns {Object} Track data { version, points, startX, startY, startAngle, seed, length }
+     */
+    generate(seed, options = {}) {
+        const settings = { ...Config.generator, ...options };
+
+        // Tracks must not change the random sequence of the training run
+        const randomState = Random.getState();
+        Random.setSeed(seed);
+
+        try {
+            for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+                const data = this.attempt(settings);
+                if (data) {
+                    return { version: 1, ...data, seed: seed >>> 0 };
+                }
+            }
+        } finally {
+            Random.setState(randomState);
+        }
+
+        throw new Error(`No valid track for seed ${seed}: allow more radius, fewer corners or a shorter length`);
+    },
+
+    /**
+     * Tracks from consecutive seeds
+     * @returns {Array} { name, data }
+     */
+    generateSet(count, firstSeed, options = {}) {
+        const tracks = [];
+        for (let i = 0; i < count; i++) {
+            const seed = (firstSeed + i) >>> 0;
+            tracks.push({ name: `Random #${seed}`, data: this.generate(seed, options) });
+        }
+        return tracks;
+    },
+
+    /**
+     * One random shape, smoothed until its corners are wide enough
+     * @returns {Object|null} Track data, null if the shape cannot be used
+     */
+    attempt(settings) {
+        let controls = this.controlPoints(settings);
+
+        for (let step = 0; step <= this.SMOOTH_STEPS; step++) {
+            const points = this.fit(Track.catmullRom(controls), settings);
+            if (!points) return null;
+
+            // The walls built around the centerline must not cross or fold either
+            const track = this.tightestRadius(points) >= settings.minRadius ? new Track(points) : null;
+            if (track && track.findIssues().length === 0) {
+                return {
+                    points,
+                    startX: track.startX,
+                    startY: track.startY,
+                    startAngle: track.startAngle,
+                    length: Math.round(this.perimeter(points))
+                };
+            }
+            controls = this.smooth(controls);
+        }
+        return null;
+    },
+
+    /**
+     * Corners around the origin, sorted by angle (a star-shaped polygon never crosses itself)
+     * Coordinates are in units of the area, widths in pixels
+     */
+    controlPoints(settings) {
+        const count = Math.max(3, Math.round(settings.corners));
+        const sector = Math.PI * 2 / count;
+        const aspect = this.WIDTH / this.HEIGHT;
+        const baseWidth = Config.track.width;
+        const direction = Random.next() < 0.5 ? 1 : -1;
+
+        const controls = [];
+        for (let i = 0; i < count; i++) {
+            const angle = direction * (i + (Random.next() - 0.5) * 0.7) * sector;
+            const radius = 0.45 + Random.next() * 0.55;
+            controls.push({
+                x: Math.cos(angle) * radius * aspect,
+                y: Math.sin(angle) * radius,
+                width: baseWidth * (1 + (Random.next() * 2 - 1) * settings.widthVariation)
+            });
+        }
+        return controls;
+    },
+
+    /**
+     * Scale the curve to the requested length (less if it would not fit),
+     * center it in the area and resample it at SPACING
+     * @returns {Array|null} Centerline points, null if the curve is degenerate
+     */
+    fit(curve, settings) {
+        const maxWidth = Math.max(...curve.map(p => p.width));
+        const border = this.MARGIN + maxWidth / 2;
+
+        const xs = curve.map(p => p.x);
+        const ys = curve.map(p => p.y);
+        const spanX = Math.max(...xs) - Math.min(...xs);
+        const spanY = Math.max(...ys) - Math.min(...ys);
+        const length = this.perimeter(curve);
+        if (length === 0 || spanX === 0 || spanY === 0) return null;
+
+        const scale = Math.min(
+            settings.length / length,
+            (this.WIDTH - 2 * border) / spanX,
+            (this.HEIGHT - 2 * border) / spanY
+        );
+        const offsetX = this.WIDTH / 2 - (Math.max(...xs) + Math.min(...xs)) / 2 * scale;
+        const offsetY = this.HEIGHT / 2 - (Math.max(...ys) + Math.min(...ys)) / 2 * scale;
+
+        const scaled = curve.map(p => ({ x: p.x * scale + offsetX, y: p.y * scale + offsetY, width: p.width }));
+        return Track.resample(scaled, this.SPACING).map((p) => {
+            const point = { x: Math.round(p.x * 100) / 100, y: Math.round(p.y * 100) / 100 };
+            if (settings.widthVariation > 0) {
+                point.width = Math.round(p.width * 10) / 10;
+            }
+            return point;
+        });
+    },
+
+    /**
+     * Move every control point halfway to the middle of its neighbours (rounds the corners)
+     */
+    smooth(controls) {
+        const n = controls.length;
+        return controls.map((p, i) => {
+            const prev = controls[(i - 1 + n) % n];
+            const next = controls[(i + 1) % n];
+            return {
+                x: p.x * 0.5 + (prev.x + next.x) * 0.25,
+                y: p.y * 0.5 + (prev.y + next.y) * 0.25,
+                width: p.width
+            };
+        });
+    },
+
+    /**
+     * Smallest turning radius along a closed centerline (circle through
+     * the points two steps before and after each point)
+     */
+    tightestRadius(points) {
+        return Math.min(...points.map((point, i) => Track.turningRadius(points, i)));
+    },
+
+    /**
+     * Length of a closed polyline
+     */
+    perimeter(points) {
+        let length = 0;
+        points.forEach((p, i) => {
+            const next = points[(i + 1) % points.length];
+            length += Math.hypot(next.x - p.x, next.y - p.y);
+        });
+        return length;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrackGenerator };
+}
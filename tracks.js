@@ -10,3 +10,7 @@ const BUILT_IN_TRACKS = {
 
     4: {"version":1,"points":[{"x":124.57,"y":366.84},{"x":114.60,"y":360.88},{"x":104.64,"y":353.92},{"x":93.67,"y":341.99},{"x":84.71,"y":331.05},{"x":74.74,"y":316.14},{"x":67.76,"y":304.21},{"x":62.78,"y":294.27},{"x":58.80,"y":281.35},{"x":56.80,"y":270.41},{"x":55.81,"y":257.49},{"x":53.81,"y":245.56},{"x":52.82,"y":233.63},{"x":51.82,"y":220.70},{"x":50.82,"y":207.78},{"x":49.83,"y":192.87},{"x":50.82,"y":180.94},{"x":55.81,"y":169.01},{"x":60.79,"y":160.06},{"x":68.76,"y":150.12},{"x":76.73,"y":142.16},{"x":87.69,"y":135.20},{"x":98.66,"y":130.23},{"x":110.62,"y":126.26},{"x":123.57,"y":123.27},{"x":134.53,"y":120.29},{"x":145.49,"y":116.32},{"x":155.46,"y":115.32},{"x":164.43,"y":129.24},{"x":171.40,"y":140.18},{"x":175.39,"y":151.11},{"x":176.39,"y":162.05},{"x":174.39,"y":171.99},{"x":170.41,"y":181.93},{"x":168.41,"y":191.87},{"x":167.42,"y":203.80},{"x":166.42,"y":214.74},{"x":162.44,"y":225.67},{"x":158.45,"y":235.61},{"x":157.45,"y":246.55},{"x":157.45,"y":257.49},{"x":160.44,"y":268.42},{"x":165.42,"y":280.35},{"x":168.41,"y":290.29},{"x":174.39,"y":302.22},{"x":179.38,"y":311.17},{"x":186.35,"y":321.11},{"x":194.32,"y":328.07},{"x":204.29,"y":333.04},{"x":214.25,"y":336.02},{"x":226.21,"y":336.02},{"x":236.18,"y":335.03},{"x":249.13,"y":334.04},{"x":260.10,"y":333.04},{"x":272.05,"y":333.04},{"x":282.02,"y":332.05},{"x":282.02,"y":320.12},{"x":282.02,"y":309.18},{"x":281.02,"y":297.25},{"x":279.03,"y":287.31},{"x":279.03,"y":276.37},{"x":277.04,"y":266.43},{"x":276.04,"y":254.50},{"x":275.04,"y":243.57},{"x":274.05,"y":232.63},{"x":274.05,"y":221.70},{"x":274.05,"y":209.77},{"x":272.05,"y":199.82},{"x":269.06,"y":188.89},{"x":265.08,"y":176.96},{"x":261.09,"y":166.02},{"x":256.11,"y":154.09},{"x":250.13,"y":144.15},{"x":243.15,"y":134.21},{"x":239.17,"y":124.27},{"x":233.19,"y":114.33},{"x":226.21,"y":104.39},{"x":220.23,"y":94.44},{"x":214.25,"y":85.50},{"x":210.27,"y":74.56},{"x":204.29,"y":65.61},{"x":199.31,"y":55.67},{"x":197.31,"y":44.74},{"x":208.28,"y":42.75},{"x":219.24,"y":42.75},{"x":232.19,"y":41.75},{"x":245.15,"y":41.75},{"x":260.10,"y":40.76},{"x":275.04,"y":40.76},{"x":286.01,"y":40.76},{"x":296.97,"y":41.75},{"x":307.93,"y":41.75},{"x":317.89,"y":43.74},{"x":328.86,"y":45.73},{"x":338.82,"y":51.70},{"x":343.80,"y":60.64},{"x":346.79,"y":71.58},{"x":347.79,"y":82.51},{"x":345.80,"y":93.45},{"x":342.81,"y":104.39},{"x":339.82,"y":114.33},{"x":339.82,"y":125.26},{"x":347.79,"y":135.20},{"x":357.76,"y":143.16},{"x":372.70,"y":152.11},{"x":385.66,"y":156.08},{"x":399.61,"y":160.06},{"x":414.56,"y":160.06},{"x":424.52,"y":159.06},{"x":437.48,"y":151.11},{"x":445.45,"y":142.16},{"x":451.43,"y":132.22},{"x":455.42,"y":120.29},{"x":455.42,"y":106.37},{"x":455.42,"y":94.44},{"x":453.42,"y":81.52},{"x":453.42,"y":69.59},{"x":450.43,"y":59.65},{"x":457.41,"y":50.70},{"x":466.38,"y":44.74},{"x":478.34,"y":38.77},{"x":488.30,"y":34.80},{"x":502.25,"y":32.81},{"x":515.21,"y":30.82},{"x":530.16,"y":29.82},{"x":543.11,"y":29.82},{"x":554.07,"y":29.82},{"x":564.04,"y":34.80},{"x":573.01,"y":41.75},{"x":582.97,"y":56.67},{"x":590.94,"y":65.61},{"x":596.92,"y":79.53},{"x":597.92,"y":90.47},{"x":597.92,"y":101.40},{"x":594.93,"y":116.32},{"x":588.95,"y":128.25},{"x":579.98,"y":143.16},{"x":575.00,"y":153.10},{"x":569.02,"y":163.04},{"x":563.04,"y":174.97},{"x":558.06,"y":183.92},{"x":550.09,"y":192.87},{"x":541.12,"y":198.83},{"x":532.15,"y":203.80},{"x":522.18,"y":207.78},{"x":508.23,"y":213.74},{"x":492.29,"y":220.70},{"x":482.32,"y":225.67},{"x":470.36,"y":230.64},{"x":459.40,"y":231.64},{"x":445.45,"y":232.63},{"x":434.49,"y":232.63},{"x":424.52,"y":233.63},{"x":414.56,"y":235.61},{"x":402.60,"y":238.60},{"x":393.63,"y":243.57},{"x":385.66,"y":251.52},{"x":378.68,"y":263.45},{"x":374.70,"y":275.38},{"x":372.70,"y":286.32},{"x":373.70,"y":298.25},{"x":381.67,"y":309.18},{"x":388.65,"y":319.12},{"x":399.61,"y":327.08},{"x":414.56,"y":333.04},{"x":429.51,"y":338.01},{"x":439.47,"y":340.99},{"x":451.43,"y":342.98},{"x":461.40,"y":343.98},{"x":472.36,"y":343.98},{"x":490.29,"y":344.97},{"x":504.25,"y":342.98},{"x":518.20,"y":341.99},{"x":539.12,"y":337.02},{"x":553.08,"y":332.05},{"x":570.02,"y":328.07},{"x":582.97,"y":324.09},{"x":597.92,"y":318.13},{"x":609.88,"y":313.16},{"x":618.85,"y":308.19},{"x":633.80,"y":298.25},{"x":641.77,"y":291.29},{"x":653.73,"y":279.36},{"x":663.69,"y":266.43},{"x":672.66,"y":249.53},{"x":676.65,"y":238.60},{"x":679.64,"y":228.65},{"x":684.62,"y":215.73},{"x":687.61,"y":200.82},{"x":690.60,"y":188.89},{"x":690.60,"y":172.98},{"x":690.60,"y":159.06},{"x":691.59,"y":145.15},{"x":691.59,"y":133.22},{"x":692.59,"y":120.29},{"x":694.58,"y":110.35},{"x":699.57,"y":100.41},{"x":703.55,"y":89.47},{"x":712.52,"y":76.55},{"x":723.48,"y":67.60},{"x":732.45,"y":62.63},{"x":746.40,"y":57.66},{"x":757.37,"y":53.68},{"x":768.33,"y":49.71},{"x":781.28,"y":49.71},{"x":792.24,"y":48.71},{"x":803.21,"y":48.71},{"x":826.13,"y":48.71},{"x":842.07,"y":48.71},{"x":860.01,"y":50.70},{"x":870.97,"y":55.67},{"x":883.93,"y":59.65},{"x":894.89,"y":64.62},{"x":932.76,"y":88.48},{"x":945.71,"y":101.40},{"x":961.66,"y":117.31},{"x":972.62,"y":127.25},{"x":983.58,"y":139.18},{"x":990.55,"y":151.11},{"x":998.53,"y":161.05},{"x":1008.49,"y":174.97},{"x":1020.45,"y":191.87},{"x":1026.43,"y":201.81},{"x":1035.40,"y":215.73},{"x":1040.38,"y":227.66},{"x":1045.36,"y":241.58},{"x":1049.35,"y":252.51},{"x":1052.34,"y":264.44},{"x":1055.33,"y":277.37},{"x":1057.32,"y":287.31},{"x":1060.31,"y":299.24},{"x":1064.30,"y":313.16},{"x":1068.28,"y":325.09},{"x":1075.26,"y":338.01},{"x":1082.24,"y":351.93},{"x":1088.21,"y":364.85},{"x":1093.20,"y":375.79},{"x":1097.18,"y":385.73},{"x":1100.17,"y":397.66},{"x":1103.16,"y":408.60},{"x":1107.15,"y":420.53},{"x":1109.14,"y":430.47},{"x":1111.14,"y":442.40},{"x":1112.13,"y":453.33},{"x":1115.12,"y":463.27},{"x":1112.13,"y":473.22},{"x":1101.17,"y":473.22},{"x":1089.21,"y":471.23},{"x":1077.25,"y":469.24},{"x":1063.30,"y":469.24},{"x":1050.35,"y":468.25},{"x":1040.38,"y":465.26},{"x":1030.42,"y":463.27},{"x":1019.45,"y":460.29},{"x":1008.49,"y":457.31},{"x":998.53,"y":453.33},{"x":987.56,"y":451.35},{"x":977.60,"y":448.36},{"x":966.64,"y":444.39},{"x":955.68,"y":442.40},{"x":953.68,"y":432.46},{"x":953.68,"y":420.53},{"x":953.68,"y":409.59},{"x":951.69,"y":398.65},{"x":951.69,"y":387.72},{"x":950.69,"y":374.80},{"x":950.69,"y":361.87},{"x":950.69,"y":349.94},{"x":949.70,"y":339.01},{"x":947.70,"y":328.07},{"x":946.71,"y":316.14},{"x":945.71,"y":303.22},{"x":941.72,"y":293.27},{"x":939.73,"y":281.35},{"x":937.74,"y":269.42},{"x":933.75,"y":259.47},{"x":930.76,"y":248.54},{"x":926.78,"y":237.60},{"x":921.79,"y":228.65},{"x":915.81,"y":219.71},{"x":908.84,"y":209.77},{"x":899.87,"y":200.82},{"x":889.90,"y":191.87},{"x":881.93,"y":184.91},{"x":873.96,"y":177.95},{"x":864.99,"y":172.98},{"x":855.03,"y":166.02},{"x":846.06,"y":160.06},{"x":836.09,"y":155.09},{"x":826.13,"y":152.11},{"x":820.15,"y":162.05},{"x":820.15,"y":173.98},{"x":820.15,"y":184.91},{"x":822.14,"y":194.85},{"x":823.14,"y":205.79},{"x":823.14,"y":217.72},{"x":824.13,"y":229.65},{"x":825.13,"y":242.57},{"x":827.12,"y":253.51},{"x":833.10,"y":269.42},{"x":835.10,"y":280.35},{"x":838.08,"y":292.28},{"x":840.08,"y":307.19},{"x":843.07,"y":323.10},{"x":844.06,"y":338.01},{"x":846.06,"y":353.92},{"x":847.05,"y":367.84},{"x":848.05,"y":380.76},{"x":850.04,"y":394.68},{"x":851.04,"y":405.61},{"x":853.03,"y":416.55},{"x":853.03,"y":429.47},{"x":851.04,"y":439.42},{"x":841.07,"y":444.39},{"x":831.11,"y":449.36},{"x":820.15,"y":453.33},{"x":808.19,"y":457.31},{"x":798.22,"y":461.29},{"x":788.26,"y":462.28},{"x":778.29,"y":461.29},{"x":768.33,"y":459.30},{"x":762.35,"y":450.35},{"x":757.37,"y":439.42},{"x":752.38,"y":430.47},{"x":745.41,"y":417.54},{"x":738.43,"y":407.60},{"x":728.47,"y":401.64},{"x":715.51,"y":397.66},{"x":700.56,"y":397.66},{"x":687.61,"y":399.65},{"x":675.65,"y":403.63},{"x":667.68,"y":411.58},{"x":660.70,"y":420.53},{"x":657.71,"y":435.44},{"x":656.72,"y":449.36},{"x":659.71,"y":460.29},{"x":663.69,"y":471.23},{"x":671.66,"y":488.13},{"x":681.63,"y":501.05},{"x":691.59,"y":510.00},{"x":702.56,"y":516.96},{"x":714.51,"y":522.92},{"x":728.47,"y":524.91},{"x":743.41,"y":525.91},{"x":753.38,"y":526.90},{"x":763.34,"y":527.89},{"x":779.29,"y":528.89},{"x":790.25,"y":529.88},{"x":804.20,"y":531.87},{"x":815.16,"y":532.87},{"x":827.12,"y":533.86},{"x":843.07,"y":534.85},{"x":859.01,"y":534.85},{"x":875.95,"y":536.84},{"x":892.89,"y":536.84},{"x":909.84,"y":537.84},{"x":930.76,"y":538.83},{"x":944.71,"y":538.83},{"x":957.67,"y":539.82},{"x":972.62,"y":540.82},{"x":986.57,"y":540.82},{"x":997.53,"y":541.81},{"x":1018.46,"y":544.80},{"x":1028.42,"y":547.78},{"x":1042.37,"y":550.76},{"x":1062.31,"y":558.71},{"x":1079.25,"y":563.68},{"x":1094.19,"y":568.65},{"x":1104.16,"y":572.63},{"x":1110.14,"y":582.57},{"x":1105.16,"y":592.51},{"x":1099.18,"y":602.46},{"x":1094.19,"y":611.40},{"x":1086.22,"y":623.33},{"x":1078.25,"y":634.27},{"x":1067.29,"y":643.22},{"x":1055.33,"y":651.17},{"x":1042.37,"y":656.14},{"x":1025.43,"y":661.11},{"x":1008.49,"y":666.08},{"x":995.54,"y":668.07},{"x":973.61,"y":673.04},{"x":963.65,"y":674.04},{"x":948.70,"y":675.03},{"x":933.75,"y":675.03},{"x":915.81,"y":676.02},{"x":897.88,"y":677.02},{"x":881.93,"y":677.02},{"x":859.01,"y":677.02},{"x":843.07,"y":676.02},{"x":827.12,"y":676.02},{"x":810.18,"y":675.03},{"x":795.23,"y":675.03},{"x":778.29,"y":672.05},{"x":767.33,"y":671.05},{"x":751.39,"y":668.07},{"x":732.45,"y":665.09},{"x":719.50,"y":664.09},{"x":706.54,"y":664.09},{"x":683.62,"y":663.10},{"x":668.67,"y":662.11},{"x":652.73,"y":659.12},{"x":631.80,"y":657.13},{"x":613.86,"y":654.15},{"x":603.90,"y":653.16},{"x":590.94,"y":651.17},{"x":572.01,"y":649.18},{"x":556.07,"y":647.19},{"x":544.11,"y":644.21},{"x":528.16,"y":642.22},{"x":511.22,"y":637.25},{"x":497.27,"y":636.26},{"x":487.31,"y":632.28},{"x":489.30,"y":620.35},{"x":490.29,"y":604.44},{"x":492.29,"y":592.51},{"x":496.27,"y":582.57},{"x":499.26,"y":572.63},{"x":506.24,"y":560.70},{"x":512.22,"y":548.77},{"x":518.20,"y":539.82},{"x":524.18,"y":530.88},{"x":528.16,"y":520.94},{"x":521.19,"y":509.01},{"x":517.20,"y":498.07},{"x":511.22,"y":489.12},{"x":500.26,"y":485.15},{"x":490.29,"y":484.15},{"x":476.34,"y":484.15},{"x":464.38,"y":486.14},{"x":449.44,"y":490.12},{"x":437.48,"y":495.09},{"x":421.53,"y":508.01},{"x":412.56,"y":514.97},{"x":402.60,"y":521.93},{"x":396.62,"y":530.88},{"x":390.64,"y":540.82},{"x":384.66,"y":553.74},{"x":380.68,"y":565.67},{"x":377.69,"y":576.61},{"x":369.71,"y":586.55},{"x":361.74,"y":595.50},{"x":349.78,"y":603.45},{"x":338.82,"y":611.40},{"x":329.85,"y":619.36},{"x":318.89,"y":627.31},{"x":308.93,"y":634.27},{"x":298.96,"y":641.23},{"x":288.99,"y":643.22},{"x":275.04,"y":646.20},{"x":261.09,"y":649.18},{"x":250.13,"y":649.18},{"x":232.19,"y":649.18},{"x":212.26,"y":649.18},{"x":198.31,"y":649.18},{"x":187.35,"y":649.18},{"x":175.39,"y":649.18},{"x":164.43,"y":647.19},{"x":152.47,"y":646.20},{"x":137.52,"y":643.22},{"x":126.56,"y":641.23},{"x":117.59,"y":636.26},{"x":109.62,"y":629.30},{"x":103.64,"y":618.36},{"x":98.66,"y":605.44},{"x":94.67,"y":593.51},{"x":91.68,"y":579.59},{"x":91.68,"y":564.68},{"x":93.67,"y":552.75},{"x":98.66,"y":543.80},{"x":107.63,"y":535.85},{"x":120.58,"y":531.87},{"x":144.50,"y":525.91},{"x":160.44,"y":522.92},{"x":177.38,"y":519.94},{"x":195.32,"y":515.96},{"x":210.27,"y":510.00},{"x":224.22,"y":503.04},{"x":245.15,"y":491.11},{"x":257.11,"y":483.16},{"x":269.06,"y":477.19},{"x":277.04,"y":470.23},{"x":284.01,"y":462.28},{"x":288.99,"y":453.33},{"x":286.01,"y":441.40},{"x":277.04,"y":434.44},{"x":268.07,"y":429.47},{"x":256.11,"y":424.50},{"x":245.15,"y":423.51},{"x":233.19,"y":422.51},{"x":221.23,"y":422.51},{"x":210.27,"y":422.51},{"x":199.31,"y":422.51},{"x":189.34,"y":424.50},{"x":179.38,"y":426.49},{"x":167.42,"y":428.48},{"x":151.47,"y":433.45},{"x":139.51,"y":436.43},{"x":127.56,"y":439.42},{"x":114.60,"y":441.40},{"x":103.64,"y":443.39},{"x":91.68,"y":443.39},{"x":81.72,"y":440.41},{"x":71.75,"y":435.44},{"x":61.79,"y":430.47},{"x":56.80,"y":421.52},{"x":59.79,"y":411.58},{"x":69.76,"y":405.61},{"x":78.73,"y":399.65},{"x":89.69,"y":394.68},{"x":98.66,"y":389.71},{"x":106.63,"y":380.76}],"startX":124.57,"startY":366.84,"startAngle":-2.1321060181424176}
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUILT_IN_TRACKS };
+}
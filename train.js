@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * Headless training runner (Node.js)
+ * Runs the same simulation as the browser, without rendering, and writes model.json
+ *
+ * Usage:
+ *   node train.js [options]
+ *
+ * Options:
+ *   --track <n|file>      Built-in track number (1-4) or path to a track.json (default: 1)
+ *   --generations <n>     Number of generations to run (default: 100)
+ *   --out <file>          Output model file (default: model.json)
+ *   --config <file>       model.json whose "config" section is applied before training
+ *   --max-frames <n>      Frame limit per generation, 0 = unlimited (default: 5000, or the session's)
+ *   --seed <n>            Random seed, to replay a run exactly (default: random)
+ *   --history <file>      Write per-generation statistics (.csv, or JSON otherwise)
+ *   --session <file>      Also save the whole session (population and algorithm state)
+ *   --resume <file>       Continue a saved session (its config, track and seed are used)
+ *   --curriculum          Also score every genome on the other built-in tracks (see Config.curriculum)
+ *   --curriculum-track <file>  Add a track.json to the curriculum (repeatable, enables it)
+ *   --random-tracks <n>   Add n random tracks (seeds 1 to n) to the curriculum (enables it)
+ *   --test-tracks <n>     After training, race the best car on n random tracks never trained on
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Expose the simulation classes as globals, like the <script> tags of index.html
+Object.assign(globalThis,
+    require('./random'),
+    require('./config'),
+    require('./neuralNetwork'),
+    require('./neat'),
+    require('./car'),
+    require('./wallGrid'),
+    require('./track'),
+    require('./trackGenerator'),
+    require('./optimizers'),
+    require('./geneticAlgorithm'),
+    require('./simulation'),
+    require('./race'),
+    require('./statsHistory'),
+    require('./tracks')
+);
+
+const USAGE = `Usage: node train.js [--track <n|file>] [--generations <n>] [--out <file>]
+                     [--config <file>] [--max-frames <n>] [--seed <n>] [--history <file>]
+                     [--session <file>] [--resume <file>]
+                     [--curriculum] [--curriculum-track <file>]... [--random-tracks <n>]
+                     [--test-tracks <n>]`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        track: '1',
+        generations: 100,
+        out: 'model.json',
+        config: null,
+        maxFrames: null,
+        seed: null,
+        history: null,
+        session: null,
+        resume: null,
+        curriculum: false,
+        curriculumTracks: [],
+        randomTracks: 0,
+        testTracks: 0
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--track':
+                options.track = value;
+                i++;
+                break;
+            case '--generations':
+                options.generations = parseInt(value);
+                i++;
+                break;
+            case '--out':
+                options.out = value;
+                i++;
+                break;
+            case '--config':
+                options.config = value;
+                i++;
+                break;
+            case '--max-frames':
+                options.maxFrames = parseInt(value);
+                i++;
+                break;
+            case '--seed':
+                options.seed = parseInt(value);
+                i++;
+                break;
+            case '--history':
+                options.history = value;
+                i++;
+                break;
+            case '--session':
+                options.session = value;
+                i++;
+                break;
+            case '--resume':
+                options.resume = value;
+                i++;
+                break;
+            case '--curriculum':
+                options.curriculum = true;
+                break;
+            case '--curriculum-track':
+                options.curriculumTracks.push(value);
+                options.curriculum = true;
+                i++;
+                break;
+            case '--random-tracks':
+                options.randomTracks = parseInt(value);
+                options.curriculum = true;
+                i++;
+                break;
+            case '--test-tracks':
+                options.testTracks = parseInt(value);
+                i++;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.generations) || options.generations < 1) {
+        throw new Error('--generations must be a positive integer');
+    }
+    if (options.maxFrames !== null && (!Number.isInteger(options.maxFrames) || options.maxFrames < 0)) {
+        throw new Error('--max-frames must be a non-negative integer');
+    }
+
+    if (options.seed !== null && (!Number.isInteger(options.seed) || options.seed < 0)) {
+        throw new Error('--seed must be a non-negative integer');
+    }
+    if (!Number.isInteger(options.randomTracks) || options.randomTracks < 0) {
+        throw new Error('--random-tracks must be a non-negative integer');
+    }
+    if (!Number.isInteger(options.testTracks) || options.testTracks < 0) {
+        throw new Error('--test-tracks must be a non-negative integer');
+    }
+    if (options.resume && (options.config || options.seed !== null || options.curriculum)) {
+        throw new Error('--resume cannot be combined with --config, --seed or --curriculum');
+    }
+
+    return options;
+}
+
+/**
+ * Load track data from a built-in number or a track.json file
+ * Geometry problems of track files are reported as warnings (see Track.findIssues)
+ */
+function loadTrackData(trackArg) {
+    if (/^\d+$/.test(trackArg)) {
+        const data = BUILT_IN_TRACKS[trackArg];
+        if (!data) {
+            throw new Error(`Track ${trackArg} not found`);
+        }
+        return data;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(trackArg, 'utf8'));
+        Track.checkData(data);
+    } catch (err) {
+        throw new Error(`${trackArg}: ${err instanceof SyntaxError ? 'not valid JSON' : err.message}`);
+    }
+
+    const issues = new Track(data.points, data.startX, data.startY, data.startAngle).findIssues();
+    if (issues.length > 0) {
+        console.warn(`Warning: ${trackArg}: ${Track.describeIssues(issues)} (repair it in the browser)`);
+    }
+    return data;
+}
+
+/**
+ * Curriculum tracks: the built-in tracks other than the training track,
+ * then track.json files and random tracks
+ */
+function buildCurriculum(trackArg, files, randomCount) {
+    const entries = Object.keys(BUILT_IN_TRACKS)
+        .filter(number => number !== trackArg)
+        .map(number => ({ name: `Track ${number}`, data: BUILT_IN_TRACKS[number] }));
+    files.forEach(file => entries.push({ name: path.basename(file), data: loadTrackData(file) }));
+    entries.push(...TrackGenerator.generateSet(randomCount, 1));
+
+    return entries.map(({ name, data }) => ({
+        name,
+        track: new Track(data.points, data.startX, data.startY, data.startAngle)
+    }));
+}
+
+/**
+ * Race the saved model alone on random tracks it was not trained on
+ * (seeds from TrackGenerator.TEST_SEED_OFFSET, random training tracks start at 1)
+ */
+function testOnRandomTracks(modelData, count) {
+    const tracks = TrackGenerator.generateSet(count, TrackGenerator.TEST_SEED_OFFSET + 1);
+    let finished = 0;
+
+    console.log(`Test on ${count} unseen random tracks:`);
+    tracks.forEach(({ name, data }) => {
+        const track = new Track(data.points, data.startX, data.startY, data.startAngle);
+        const race = new Race(track, [Race.entryFromModel('model', modelData)]);
+        while (!race.update()) {
+            // Simulate frames until the car has stopped
+        }
+
+        const result = race.getResults()[0];
+        const bestLap = result.bestLapTime !== null ? (result.bestLapTime / 60).toFixed(2) + 's' : '--';
+        if (result.outcome === 'finished') finished++;
+        console.log(`  ${name}: ${result.outcome}, laps ${result.laps}, ` +
+            `checkpoints ${result.checkpoints}/${track.checkpoints.length}, best lap ${bestLap}`);
+    });
+    console.log(`Test result: ${finished}/${count} tracks finished`);
+}
+
+/**
+ * Apply the "config" section of a saved model
+ */
+function loadConfig(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.config) {
+        throw new Error(`No config section in ${file}`);
+    }
+
+    Config.loadFromJSON(data.config);
+
+    // Reuse the seed of the saved run so it can be replayed
+    if (data.seed !== undefined) {
+        Config.genetic.seed = data.seed;
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let sim;
+    if (options.resume) {
+        sim = new Simulation();
+        sim.loadSessionData(Simulation.parseSession(fs.readFileSync(options.resume, 'utf8')));
+        console.log(`Resuming session at generation ${sim.ga.generation}`);
+    } else {
+        if (options.config) {
+            loadConfig(options.config);
+        }
+        if (options.seed !== null) {
+            Config.genetic.seed = options.seed;
+        }
+
+        if (options.curriculum) {
+            Config.curriculum.enabled = true;
+        }
+
+        const trackData = loadTrackData(options.track);
+        sim = new Simulation(new Track(trackData.points, trackData.startX, trackData.startY, trackData.startAngle));
+        sim.maxFrames = 5000;
+        if (Config.curriculum.enabled) {
+            sim.setCurriculum(buildCurriculum(options.track, options.curriculumTracks, options.randomTracks));
+        }
+    }
+    if (options.maxFrames !== null) {
+        sim.maxFrames = options.maxFrames;
+    }
+
+    console.log(`Seed: ${Random.seed}`);
+    if (sim.isCurriculum()) {
+        console.log(`Curriculum: ${sim.curriculum.map(entry => entry.name).join(', ')} (${Config.curriculum.aggregate} fitness)`);
+    }
+    const trackName = options.resume ? 'Session track'
+        : /^\d+$/.test(options.track) ? `Track ${options.track}` : path.basename(options.track);
+    const startTime = Date.now();
+
+    for (let i = 0; i < options.generations; i++) {
+        sim.runGeneration();
+
+        const ga = sim.ga;
+
+        const lapTime = ga.bestLapTime < Infinity ? (ga.bestLapTime / 60).toFixed(2) + 's' : '--';
+        console.log(
+            `Gen ${ga.generation - 1}: best fitness ${Math.round(ga.bestFitness)}, ` +
+            `laps ${ga.bestLaps}, best lap ${lapTime}, diversity ${Math.round(ga.diversity)}, ` +
+            `stagnation ${ga.stagnationCounter}`
+        );
+
+        if (sim.isCurriculum()) {
+            const names = [trackName, ...sim.curriculum.map(entry => entry.name)];
+            sim.trackResults.forEach((result, t) => {
+                const bestLap = result.bestLapTime < Infinity ? (result.bestLapTime / 60).toFixed(2) + 's' : '--';
+                console.log(`  ${names[t]}: best fitness ${Math.round(result.bestFitness)}, laps ${result.laps}, best lap ${bestLap}`);
+            });
+        }
+    }
+
+    const saveData = sim.getModelData(sim.track.centerLine);
+    if (!saveData) {
+        throw new Error('No model to save');
+    }
+
+    fs.writeFileSync(options.out, JSON.stringify(saveData, null, 2));
+
+    if (options.history) {
+        const history = sim.ga.history;
+        const text = /\.csv$/i.test(options.history) ? StatsHistory.toCSV(history) : StatsHistory.toJSON(history);
+        fs.writeFileSync(options.history, text);
+        console.log(`History of ${history.length} generations saved to ${path.resolve(options.history)}`);
+    }
+
+    if (options.session) {
+        fs.writeFileSync(options.session, Simulation.stringifySession(sim.getSessionData()));
+        console.log(`Session saved to ${path.resolve(options.session)}`);
+    }
+
+    if (options.testTracks > 0) {
+        testOnRandomTracks(saveData, options.testTracks);
+    }
+
+    const firstLap = sim.ga.history.find(entry => entry.laps > 0);
+    console.log(`First lap: ${firstLap ? `generation ${firstLap.generation}` : 'none'}`);
+
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`Model Gen ${saveData.generation} saved to ${path.resolve(options.out)} (${seconds}s)`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,89 @@
+/**
+ * Uniform grid over track walls
+ * Sensors and collisions only test the walls of the cells they cross,
+ * instead of every wall of the track
+ */
+class WallGrid {
+    /**
+     * @param {Array} walls - Wall segments {x1, y1, x2, y2}
+     * @param {number} cellSize - Cell size in pixels
+     */
+    constructor(walls, cellSize = 50) {
+        this.walls = walls;
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> wall indices
+
+        // Query stamp per wall, to return each wall once
+        this.stamps = new Uint32Array(walls.length);
+        this.queryId = 0;
+
+        walls.forEach((wall, index) => {
+            this.forEachCell(
+                Math.min(wall.x1, wall.x2), Math.min(wall.y1, wall.y2),
+                Math.max(wall.x1, wall.x2), Math.max(wall.y1, wall.y2),
+                (key) => {
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(index);
+                }
+            );
+        });
+    }
+
+    /**
+     * Call fn with the key of every cell overlapping a rectangle
+     * The rectangle is padded by 1px so that intersections found on a
+     * cell border (with rounding errors) are never missed
+     */
+    forEachCell(minX, minY, maxX, maxY, fn) {
+        const size = this.cellSize;
+        const x0 = Math.floor((minX - 1) / size);
+        const y0 = Math.floor((minY - 1) / size);
+        const x1 = Math.floor((maxX + 1) / size);
+        const y1 = Math.floor((maxY + 1) / size);
+
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                // Numeric key, unique for |cx|, |cy| < 32768
+                fn((cx + 32768) * 65536 + (cy + 32768));
+            }
+        }
+    }
+
+    /**
+     * Walls that may intersect a rectangle
+     */
+    query(minX, minY, maxX, maxY) {
+        const result = [];
+
+        this.queryId++;
+        if (this.queryId === 0xFFFFFFFF) {
+            // Stamp overflow: start again
+            this.stamps.fill(0);
+            this.queryId = 1;
+        }
+
+        this.forEachCell(minX, minY, maxX, maxY, (key) => {
+            const indices = this.cells.get(key);
+            if (!indices) return;
+            for (const index of indices) {
+                if (this.stamps[index] !== this.queryId) {
+                    this.stamps[index] = this.queryId;
+                    result.push(this.walls[index]);
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Walls that may intersect a segment
+     */
+    querySegment(x1, y1, x2, y2) {
+        return this.query(Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WallGrid };
+}